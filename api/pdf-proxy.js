@@ -0,0 +1,36 @@
+/**
+ * Fonction serverless du proxy PDF (Vercel : /api/pdf-proxy)
+ *
+ * Relaie les PDF des hôtes déclarés dans le champ pdfProxy de chaque
+ * organisation (voir src/pdfProxy.js). config.json est inclus dans la
+ * fonction par vercel.json (functions.includeFiles).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { handlePdfProxyRequest } from '../src/pdfProxy.js';
+
+const CONFIG_PATH = new URL('../public/config.json', import.meta.url);
+
+// Lu au premier appel puis conservé tant que l'instance reste active
+let configPromise = null;
+
+export default async function handler(req, res) {
+  if (!configPromise) {
+    configPromise = readFile(CONFIG_PATH, 'utf8').then(JSON.parse);
+    configPromise.catch(() => {
+      configPromise = null;
+    });
+  }
+
+  let configData;
+  try {
+    configData = await configPromise;
+  } catch (error) {
+    console.error('config.json illisible:', error);
+    res.statusCode = 500;
+    res.end();
+    return;
+  }
+
+  await handlePdfProxyRequest(req, res, configData);
+}
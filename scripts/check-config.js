@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Vérifie la configuration des organisations
+ *
+ * Utilisation :
+ *   npm run check-config
+ *
+ * Valide public/config.json selon le schéma (src/configSchema.js), vérifie
+ * que les images référencées existent dans public/ et signale les écarts
+ * avec la copie src/config.json. Le code de sortie est 1 en cas d'erreur.
+ *
+ * Les thèmes dont le contraste ne respecte pas WCAG AA sont signalés par
+ * des avertissements, sans faire échouer la commande.
+ */
+
+import { access } from 'node:fs/promises';
+import { validateConfigData, getAssetPaths } from '../src/configSchema.js';
+import { checkThemeContrast } from '../src/theme.js';
+import { SOURCE_CONFIG_PATH, PUBLIC_DIR, loadConfigData } from './lib/config.js';
+
+/**
+ * Vérifie que les images référencées par chaque organisation existent
+ *
+ * @param {Object} configData - Le contenu de config.json
+ * @returns {Promise<string[]>} Les erreurs trouvées
+ */
+async function checkAssets(configData) {
+  const errors = [];
+
+  for (const [orgId, config] of Object.entries(configData)) {
+    for (const { field, path } of getAssetPaths(config)) {
+      try {
+        await access(new URL(path, PUBLIC_DIR));
+      } catch (error) {
+        errors.push(`${orgId}.${field}: fichier introuvable dans public/: ${path}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Liste les chemins où deux valeurs JSON diffèrent
+ *
+ * @param {*} a - La première valeur
+ * @param {*} b - La seconde valeur
+ * @param {string} path - Le chemin courant
+ * @returns {string[]} Les chemins qui diffèrent
+ */
+function diffJson(a, b, path) {
+  const isObject = value => Boolean(value) && typeof value === 'object';
+
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return a === b ? [] : [path];
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].flatMap(key => diffJson(a[key], b[key], Array.isArray(a) ? `${path}[${key}]` : `${path}.${key}`));
+}
+
+async function main() {
+  const configData = await loadConfigData();
+  const errors = [
+    ...validateConfigData(configData).map(error => `public/config.json: ${error}`),
+    ...await checkAssets(configData),
+  ];
+
+  const sourceData = await loadConfigData(SOURCE_CONFIG_PATH).catch(error => {
+    errors.push(`src/config.json illisible: ${error.message}`);
+    return null;
+  });
+  if (sourceData) {
+    diffJson(configData, sourceData, 'config').forEach(path => {
+      errors.push(`src/config.json diffère de public/config.json: ${path.replace(/^config\.?/, '') || '(racine)'}`);
+    });
+  }
+
+  Object.entries(configData).forEach(([orgId, config]) => {
+    checkThemeContrast(config?.theme).forEach(warning => console.warn(`Avertissement: ${orgId}.theme: ${warning}`));
+  });
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    console.error(`\n${errors.length} erreur(s) dans la configuration.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.error(`Configuration valide (${Object.keys(configData).length} organisation(s)).`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Génère les liens de partage signés à partir d'un CSV de participants
+ *
+ * Utilisation :
+ *   npm run links -- participants.csv --org cas [--out liens.csv|liens.json] \
+ *     [--exp 2026-12-31] [--base-url https://mon-app.vercel.app/] [--registry] [--short] \
+ *     [--key ~/cles/cas-signature.pem] [--config autre-config.json]
+ *
+ * Colonnes reconnues : prenom, formation, mois, annee, certId, pdf, et
+ * optionnellement moisExpiration et anneeExpiration (certifications à durée
+ * limitée), orgId (page LinkedIn de l'organisation), org (remplace --org
+ * pour la ligne) et email (recopié tel quel).
+ *
+ * Les liens sont signés avec la clé privée de l'organisation, lue hors du
+ * dépôt (--key ou ATTESTATION_SIGNING_KEY_FILE, voir scripts/lib/signingKey.js).
+ * Les organisations sont lues dans public/config.json, ou dans le fichier
+ * donné par --config.
+ *
+ * Chaque ligne est validée avec les mêmes règles que la page. Le fichier de
+ * sortie contient l'URL finale ou la liste des erreurs de chaque ligne.
+ * Avec --registry, les attestations valides sont aussi inscrites dans le
+ * registre public utilisé par la page de vérification. Avec --short, un
+ * lien court (/c/<code>) est aussi créé pour chaque ligne valide (colonne
+ * shortUrl) et ajouté au manifeste public/links/<org>.json.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { buildAttestationUrl, validateAttestationParams } from '../src/attestationLink.js';
+import { DEFAULT_BASE_URL, loadConfigData, parseExpiration } from './lib/config.js';
+import { parseCsv, stringifyCsv } from './lib/csv.js';
+import { addToRegistry } from './lib/registry.js';
+import { addShortLinks } from './lib/shortLinks.js';
+import { loadSigningKey } from './lib/signingKey.js';
+
+const OUTPUT_COLUMNS = ['row', 'email', 'prenom', 'formation', 'certId', 'url', 'shortUrl', 'errors'];
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    org: { type: 'string' },
+    out: { type: 'string' },
+    exp: { type: 'string' },
+    registry: { type: 'boolean', default: false },
+    short: { type: 'boolean', default: false },
+    'base-url': { type: 'string', default: DEFAULT_BASE_URL },
+    key: { type: 'string' },
+    config: { type: 'string' },
+  },
+});
+
+// Clés de signature déjà chargées, par organisation
+const signingKeys = new Map();
+
+/**
+ * Retourne la clé de signature d'une organisation (chargée une seule fois)
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object} configData - Le contenu de config.json
+ * @returns {Promise<CryptoKey>} La clé de signature
+ * @throws {Error} Si la clé est absente ou ne correspond pas à l'organisation
+ */
+function getSigningKey(orgId, configData) {
+  if (!signingKeys.has(orgId)) {
+    signingKeys.set(orgId, loadSigningKey(orgId, configData[orgId], values.key));
+  }
+  return signingKeys.get(orgId);
+}
+
+/**
+ * Construit le résultat d'une ligne du CSV
+ *
+ * @param {Object} record - La ligne lue dans le CSV
+ * @param {number} row - Le numéro de ligne dans le fichier (l'en-tête est la ligne 1)
+ * @param {Object} configData - Le contenu de config.json
+ * @param {string} exp - L'expiration commune des liens (optionnel)
+ * @returns {Promise<Object>} Le résultat, avec `url` ou `errors`
+ */
+async function buildRow(record, row, configData, exp) {
+  const params = {
+    org: record.org || values.org,
+    pdf: record.pdf,
+    prenom: record.prenom,
+    mois: record.mois,
+    annee: record.annee,
+    moisExpiration: record.moisExpiration,
+    anneeExpiration: record.anneeExpiration,
+    orgId: record.orgId,
+    formation: record.formation,
+    certId: record.certId,
+    exp,
+  };
+
+  const errors = validateAttestationParams(params, configData);
+  let url = '';
+  if (errors.length === 0) {
+    try {
+      url = await buildAttestationUrl(values['base-url'], params, await getSigningKey(params.org, configData));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return {
+    row,
+    email: record.email || '',
+    prenom: params.prenom || '',
+    formation: params.formation || '',
+    certId: params.certId || '',
+    params,
+    url,
+    shortUrl: '',
+    errors,
+  };
+}
+
+/**
+ * Inscrit les attestations valides dans le registre de leur organisation
+ *
+ * @param {Object[]} results - Les lignes générées sans erreur
+ * @returns {Promise<void>}
+ */
+async function updateRegistries(results) {
+  const byOrg = new Map();
+  results.forEach(({ params }) => {
+    byOrg.set(params.org, [...(byOrg.get(params.org) || []), params]);
+  });
+
+  for (const [orgId, entries] of byOrg) {
+    await addToRegistry(orgId, entries);
+    console.error(`${entries.length} attestation(s) inscrite(s) au registre ${orgId}.`);
+  }
+}
+
+/**
+ * Crée les liens courts des lignes valides et renseigne leur colonne shortUrl
+ *
+ * Le manifeste contient les paramètres exacts du lien long (signature comprise).
+ *
+ * @param {Object[]} results - Les lignes générées sans erreur
+ * @returns {Promise<void>}
+ */
+async function createShortLinks(results) {
+  const byOrg = new Map();
+  results.forEach(result => {
+    byOrg.set(result.params.org, [...(byOrg.get(result.params.org) || []), result]);
+  });
+
+  for (const [orgId, orgResults] of byOrg) {
+    const codes = await addShortLinks(orgId, orgResults.map(({ url }) => Object.fromEntries(new URL(url).searchParams)));
+    orgResults.forEach((result, index) => {
+      result.shortUrl = new URL(`c/${codes[index]}`, values['base-url']).toString();
+    });
+    console.error(`${codes.length} lien(s) court(s) créé(s) pour ${orgId}.`);
+  }
+}
+
+async function main() {
+  const [inputPath] = positionals;
+  if (!inputPath) {
+    throw new Error('Utilisation: npm run links -- participants.csv --org cas [--out liens.csv]');
+  }
+
+  const configData = await loadConfigData(values.config ? pathToFileURL(resolve(values.config)) : undefined);
+  const exp = values.exp ? parseExpiration(values.exp) : undefined;
+  const records = parseCsv(await readFile(inputPath, 'utf8'));
+  const results = await Promise.all(records.map((record, index) => buildRow(record, index + 2, configData, exp)));
+
+  if (values.registry) {
+    await updateRegistries(results.filter(result => result.errors.length === 0));
+  }
+
+  if (values.short) {
+    await createShortLinks(results.filter(result => result.errors.length === 0));
+  }
+
+  const asJson = values.out && extname(values.out).toLowerCase() === '.json';
+  const output = asJson
+    ? `${JSON.stringify(results.map(({ params, ...result }) => result), null, 2)}\n`
+    : stringifyCsv(results.map(result => ({ ...result, errors: result.errors.join('; ') })), OUTPUT_COLUMNS);
+
+  if (values.out) {
+    await writeFile(values.out, output, 'utf8');
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Rapport d'erreurs par ligne
+  const failed = results.filter(result => result.errors.length > 0);
+  failed.forEach(result => {
+    console.error(`Ligne ${result.row}: ${result.errors.join('; ')}`);
+  });
+  console.error(`${results.length - failed.length} lien(s) généré(s), ${failed.length} ligne(s) en erreur.`);
+
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Génère la paire de clés de signature d'une organisation
+ *
+ * Utilisation :
+ *   npm run keygen -- --out ~/cles/cas-signature.pem
+ *
+ * La clé privée (PKCS#8, PEM) est écrite hors du dépôt, lisible par son
+ * seul propriétaire, et sert à `npm run sign` et `npm run links`. La clé
+ * publique affichée est à copier dans config.json (`verificationKey`).
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { KEY_ALGORITHM, exportSigningKey, exportVerificationKey } from '../src/signature.js';
+import { assertOutsideRepository } from './lib/signingKey.js';
+
+const { values } = parseArgs({
+  options: {
+    out: { type: 'string' },
+  },
+});
+
+async function main() {
+  if (!values.out) {
+    throw new Error('Utilisation: npm run keygen -- --out ~/cles/<org>-signature.pem');
+  }
+  assertOutsideRepository(values.out);
+
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+
+  // "wx" : ne jamais écraser une clé existante
+  await writeFile(values.out, await exportSigningKey(privateKey), { flag: 'wx', mode: 0o600 });
+
+  console.log(`Clé privée écrite dans ${values.out} (à conserver hors du dépôt).`);
+  console.log('Clé publique à déclarer dans config.json :');
+  console.log(`"verificationKey": "${await exportVerificationKey(publicKey)}"`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * Accès à la configuration des organisations depuis les outils Node
+ */
+
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Chemin de la configuration servie par l'application (/config.json)
+ */
+export const CONFIG_PATH = new URL('../../public/config.json', import.meta.url);
+
+/**
+ * Chemin de la copie de la configuration dans src/ (doit rester identique)
+ */
+export const SOURCE_CONFIG_PATH = new URL('../../src/config.json', import.meta.url);
+
+/**
+ * Dossier des fichiers statiques servis par l'application
+ */
+export const PUBLIC_DIR = new URL('../../public/', import.meta.url);
+
+/**
+ * URL de base par défaut des liens générés
+ */
+export const DEFAULT_BASE_URL = process.env.ATTESTATION_BASE_URL || 'http://localhost:5173/';
+
+/**
+ * Charge le contenu complet de public/config.json
+ *
+ * @param {URL} path - Le fichier à lire (défaut: public/config.json)
+ * @returns {Promise<Object>} La configuration indexée par identifiant d'organisation
+ */
+export async function loadConfigData(path = CONFIG_PATH) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+/**
+ * Convertit une date d'expiration (YYYY-MM-DD ou horodatage Unix) en secondes
+ *
+ * @param {string} value - La valeur à convertir
+ * @returns {string} L'horodatage Unix en secondes
+ */
+export function parseExpiration(value) {
+  if (/^\d+$/.test(value)) {
+    return value;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Date d'expiration invalide: ${value}`);
+  }
+  return String(Math.floor(time / 1000));
+}
@@ -0,0 +1,90 @@
+/**
+ * Lecture et écriture de fichiers CSV (RFC 4180)
+ *
+ * Le séparateur est détecté automatiquement (virgule ou point-virgule,
+ * ce dernier étant celui d'Excel en français).
+ */
+
+/**
+ * Analyse un texte CSV en liste d'objets indexés par l'en-tête
+ *
+ * @param {string} text - Le contenu du fichier
+ * @returns {Object[]} Les lignes (l'en-tête est exclu)
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(name => name.trim());
+
+  return records.map(cells => {
+    const record = {};
+    columns.forEach((name, index) => {
+      record[name] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Sérialise une liste d'objets en CSV
+ *
+ * @param {Object[]} records - Les lignes à écrire
+ * @param {string[]} columns - Les colonnes à inclure, dans l'ordre
+ * @returns {string} Le contenu CSV
+ */
+export function stringifyCsv(records, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(escape).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => escape(record[column])).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
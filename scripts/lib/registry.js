@@ -0,0 +1,51 @@
+/**
+ * Mise à jour des registres publics d'attestations (public/registry/<org>.json)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+
+const REGISTRY_DIR = new URL('../../public/registry/', import.meta.url);
+
+/**
+ * Charge le registre d'une organisation (vide s'il n'existe pas encore)
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {Promise<Object>} Le registre
+ */
+export async function loadRegistry(orgId) {
+  try {
+    return JSON.parse(await readFile(new URL(`${orgId}.json`, REGISTRY_DIR), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { certificates: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ajoute ou remplace des certificats dans le registre d'une organisation
+ *
+ * Seules les informations publiques sont enregistrées (jamais l'URL du PDF).
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object[]} entries - Les paramètres des attestations (certId, prenom, formation, mois, annee)
+ * @returns {Promise<void>}
+ */
+export async function addToRegistry(orgId, entries) {
+  const registry = await loadRegistry(orgId);
+  registry.certificates = registry.certificates || {};
+
+  entries.forEach(({ certId, prenom, formation, mois, annee }) => {
+    registry.certificates[certId] = {
+      ...registry.certificates[certId],
+      prenom: prenom || '',
+      formation,
+      mois: mois || '',
+      annee: annee || '',
+    };
+  });
+
+  await mkdir(REGISTRY_DIR, { recursive: true });
+  await writeFile(new URL(`${orgId}.json`, REGISTRY_DIR), `${JSON.stringify(registry, null, 2)}\n`, 'utf8');
+}
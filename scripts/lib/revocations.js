@@ -0,0 +1,46 @@
+/**
+ * Mise à jour de la liste de révocation (public/revocations.json)
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const REVOCATIONS_PATH = new URL('../../public/revocations.json', import.meta.url);
+
+/**
+ * Charge la liste de révocation de toutes les organisations
+ *
+ * @returns {Promise<Object>} Les révocations indexées par organisation puis par certId
+ */
+export async function loadRevocations() {
+  try {
+    return JSON.parse(await readFile(REVOCATIONS_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ajoute des révocations pour une organisation
+ *
+ * Une révocation existante pour le même certId est remplacée.
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object[]} entries - Les révocations ({ certId, reason, date })
+ * @returns {Promise<void>}
+ */
+export async function addRevocations(orgId, entries) {
+  const revocations = await loadRevocations();
+  revocations[orgId] = revocations[orgId] || {};
+
+  entries.forEach(({ certId, reason, date }) => {
+    revocations[orgId][certId] = {
+      date: date || new Date().toISOString().slice(0, 10),
+      reason: reason || '',
+    };
+  });
+
+  await writeFile(REVOCATIONS_PATH, `${JSON.stringify(revocations, null, 2)}\n`, 'utf8');
+}
@@ -0,0 +1,57 @@
+/**
+ * Mise à jour des manifestes de liens courts (public/links/<org>.json)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { generateShortCode, encryptShortLinkParams } from '../../src/shortLinks.js';
+
+const LINKS_DIR = new URL('../../public/links/', import.meta.url);
+
+/**
+ * Charge le manifeste d'une organisation (vide s'il n'existe pas encore)
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {Promise<Object>} Le manifeste
+ */
+export async function loadShortLinks(orgId) {
+  try {
+    return JSON.parse(await readFile(new URL(`${orgId}.json`, LINKS_DIR), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { links: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Crée des liens courts pour des attestations d'une organisation
+ *
+ * Chaque appel crée de nouveaux codes; les codes déjà distribués restent
+ * valides.
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object[]} paramsList - Les paramètres complets des liens (signés)
+ * @returns {Promise<string[]>} Les codes, dans l'ordre des paramètres
+ */
+export async function addShortLinks(orgId, paramsList) {
+  const manifest = await loadShortLinks(orgId);
+  manifest.links = manifest.links || {};
+
+  const codes = [];
+  for (const params of paramsList) {
+    let code;
+    let encrypted;
+    do {
+      code = generateShortCode(orgId);
+      encrypted = await encryptShortLinkParams(code, params);
+    } while (manifest.links[encrypted.id]);
+
+    manifest.links[encrypted.id] = encrypted.entry;
+    codes.push(code);
+  }
+
+  await mkdir(LINKS_DIR, { recursive: true });
+  await writeFile(new URL(`${orgId}.json`, LINKS_DIR), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  return codes;
+}
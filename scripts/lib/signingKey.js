@@ -0,0 +1,82 @@
+/**
+ * Clés privées de signature des liens (outils du registraire)
+ *
+ * La clé privée de chaque organisation est générée par `npm run keygen`
+ * et conservée hors du dépôt : seule sa clé publique figure dans
+ * config.json (`verificationKey`). Elle est lue dans le fichier PEM donné
+ * par --key ou par la variable d'environnement ATTESTATION_SIGNING_KEY_FILE,
+ * ou directement dans ATTESTATION_SIGNING_KEY (contenu PEM, pour
+ * l'intégration continue).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve, relative, isAbsolute } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importSigningKey, matchesVerificationKey } from '../../src/signature.js';
+
+/**
+ * Racine du dépôt (les clés privées ne doivent pas s'y trouver)
+ */
+export const REPOSITORY_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+/**
+ * Vérifie qu'un fichier de clé privée est hors du dépôt
+ *
+ * @param {string} path - Le chemin du fichier
+ * @throws {Error} Si le fichier est dans le dépôt (et donc exposé à git ou à public/)
+ */
+export function assertOutsideRepository(path) {
+  const fromRoot = relative(REPOSITORY_ROOT, resolve(path));
+  if (!fromRoot.startsWith('..') && !isAbsolute(fromRoot)) {
+    throw new Error(`La clé privée doit être conservée hors du dépôt: ${path}`);
+  }
+}
+
+/**
+ * Lit le contenu PEM de la clé privée
+ *
+ * @param {string} keyPath - Le fichier donné par --key (optionnel)
+ * @returns {Promise<string>} Le contenu PEM
+ * @throws {Error} Si aucune clé n'est fournie
+ */
+async function readSigningKeyPem(keyPath) {
+  const path = keyPath || process.env.ATTESTATION_SIGNING_KEY_FILE;
+  if (path) {
+    assertOutsideRepository(path);
+    return readFile(path, 'utf8');
+  }
+  if (process.env.ATTESTATION_SIGNING_KEY) {
+    return process.env.ATTESTATION_SIGNING_KEY;
+  }
+  throw new Error('Clé privée de signature manquante: --key <fichier.pem> ou ATTESTATION_SIGNING_KEY_FILE');
+}
+
+/**
+ * Charge la clé privée d'une organisation et vérifie qu'elle correspond
+ * à sa clé publique (`verificationKey` de config.json)
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} keyPath - Le fichier donné par --key (optionnel)
+ * @returns {Promise<CryptoKey>} La clé de signature
+ * @throws {Error} Si la clé est absente, illisible ou ne correspond pas
+ */
+export async function loadSigningKey(orgId, config, keyPath) {
+  if (!config.verificationKey) {
+    throw new Error(`Aucune clé de vérification (verificationKey) pour l'organisation ${orgId}`);
+  }
+
+  const pem = await readSigningKeyPem(keyPath);
+  let signingKey;
+  try {
+    signingKey = await importSigningKey(pem);
+  } catch (error) {
+    throw new Error(`Clé privée de signature illisible: ${error.message}`);
+  }
+
+  if (!await matchesVerificationKey(signingKey, config.verificationKey)) {
+    throw new Error(`La clé privée ne correspond pas à la verificationKey de l'organisation ${orgId}`);
+  }
+
+  return signingKey;
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Révoque une ou plusieurs attestations
+ *
+ * Utilisation :
+ *   npm run revoke -- --org cas --certId ASC-2024-00123 --reason "Émise par erreur" [--date 2025-11-03]
+ *   npm run revoke -- revocations.csv --org cas
+ *
+ * Le CSV contient les colonnes certId, reason et optionnellement date et org.
+ * Les révocations sont ajoutées à public/revocations.json.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadConfigData } from './lib/config.js';
+import { parseCsv } from './lib/csv.js';
+import { addRevocations } from './lib/revocations.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    org: { type: 'string' },
+    certId: { type: 'string' },
+    reason: { type: 'string' },
+    date: { type: 'string' },
+  },
+});
+
+async function main() {
+  const [inputPath] = positionals;
+  const records = inputPath
+    ? parseCsv(await readFile(inputPath, 'utf8'))
+    : [{ certId: values.certId, reason: values.reason, date: values.date }];
+
+  const configData = await loadConfigData();
+  const byOrg = new Map();
+
+  records.forEach((record, index) => {
+    const orgId = record.org || values.org;
+    const where = inputPath ? `Ligne ${index + 2}: ` : '';
+    if (!configData[orgId]) {
+      throw new Error(`${where}organisation inconnue: ${orgId}`);
+    }
+    if (!record.certId) {
+      throw new Error(`${where}paramètre obligatoire manquant: certId`);
+    }
+    if (record.date && !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+      throw new Error(`${where}date invalide (format attendu: YYYY-MM-DD): ${record.date}`);
+    }
+    byOrg.set(orgId, [...(byOrg.get(orgId) || []), record]);
+  });
+
+  for (const [orgId, entries] of byOrg) {
+    await addRevocations(orgId, entries);
+    console.error(`${entries.length} attestation(s) révoquée(s) pour ${orgId}.`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Génère un lien de partage signé pour une attestation
+ *
+ * Utilisation :
+ *   npm run sign -- --org cas --pdf https://exemple.com/diplome.pdf \
+ *     --formation "Certification en gouvernance" --certId ASC-2024-00123 \
+ *     [--prenom Alexandre] [--mois 12] [--annee 2025] [--exp 2026-12-31] \
+ *     [--moisExpiration 12] [--anneeExpiration 2027] [--orgId 1234567] \
+ *     [--base-url https://mon-app.vercel.app/] [--key ~/cles/cas-signature.pem]
+ *
+ * La clé privée de l'organisation est lue hors du dépôt (--key ou
+ * ATTESTATION_SIGNING_KEY_FILE, voir scripts/lib/signingKey.js) et doit
+ * correspondre à sa `verificationKey` dans public/config.json.
+ */
+
+import { parseArgs } from 'node:util';
+import { buildAttestationUrl, validateAttestationParams } from '../src/attestationLink.js';
+import { DEFAULT_BASE_URL, loadConfigData, parseExpiration } from './lib/config.js';
+import { loadSigningKey } from './lib/signingKey.js';
+
+const { values } = parseArgs({
+  options: {
+    org: { type: 'string' },
+    pdf: { type: 'string' },
+    prenom: { type: 'string' },
+    mois: { type: 'string' },
+    annee: { type: 'string' },
+    moisExpiration: { type: 'string' },
+    anneeExpiration: { type: 'string' },
+    orgId: { type: 'string' },
+    formation: { type: 'string' },
+    certId: { type: 'string' },
+    exp: { type: 'string' },
+    'base-url': { type: 'string', default: DEFAULT_BASE_URL },
+    key: { type: 'string' },
+  },
+});
+
+async function main() {
+  const configData = await loadConfigData();
+
+  const params = {
+    org: values.org,
+    pdf: values.pdf,
+    prenom: values.prenom,
+    mois: values.mois,
+    annee: values.annee,
+    moisExpiration: values.moisExpiration,
+    anneeExpiration: values.anneeExpiration,
+    orgId: values.orgId,
+    formation: values.formation,
+    certId: values.certId,
+    exp: values.exp ? parseExpiration(values.exp) : undefined,
+  };
+
+  const errors = validateAttestationParams(params, configData);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const signingKey = await loadSigningKey(params.org, configData[params.org], values.key);
+  console.log(await buildAttestationUrl(values['base-url'], params, signingKey));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,210 @@
+/**
+ * Mesure d'audience de la page de partage
+ *
+ * Chaque organisation choisit dans config.json où envoyer les événements
+ * du parcours (page vue, PDF affiché, clics sur les étapes LinkedIn...) :
+ *
+ *   "analytics": {
+ *     "transport": "beacon",
+ *     "endpoint": "https://stats.exemple.org/collect"
+ *   }
+ *
+ * Transports : "beacon" (POST JSON vers `endpoint`), "console" (journal du
+ * navigateur, pour la mise au point) ou "none" (défaut).
+ *
+ * Les événements attendent le consentement du visiteur (bannière de
+ * src/privacy.js) : ils sont envoyés s'il accepte et oubliés s'il refuse.
+ * Rien n'est envoyé si le navigateur signale Do-Not-Track ou Global Privacy
+ * Control. Seules les propriétés de ALLOWED_PROPERTIES sont transmises :
+ * jamais l'URL du PDF, le prénom ni l'identifiant de l'attestation.
+ */
+
+/**
+ * Événements mesurés
+ */
+export const ANALYTICS_EVENTS = [
+  'page_view',
+  'pdf_rendered',
+  'pdf_failed',
+  'step1_clicked',
+  'step2_clicked',
+  'share_clicked',
+  'message_edited',
+  'message_reset',
+];
+
+/**
+ * Propriétés pouvant accompagner un événement (les autres sont ignorées)
+ */
+const ALLOWED_PROPERTIES = ['org', 'language', 'formation', 'shortLink', 'pages', 'reason', 'template', 'network'];
+
+/**
+ * Nombre maximal d'événements conservés en attendant le consentement
+ */
+const MAX_PENDING_EVENTS = 50;
+
+/**
+ * Transports disponibles : chacun reçoit la configuration `analytics` de
+ * l'organisation et retourne la fonction d'envoi d'un événement
+ */
+const TRANSPORTS = {
+  beacon: ({ endpoint }) => (payload) => {
+    // text/plain évite la requête préliminaire CORS vers le collecteur
+    const body = JSON.stringify(payload);
+    if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain' }))) {
+      return;
+    }
+    fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(error => {
+      console.warn('Événement de mesure non envoyé:', error);
+    });
+  },
+  console: () => (payload) => {
+    console.info(`[analytics] ${payload.event}`, payload);
+  },
+  none: () => () => {},
+};
+
+/**
+ * Noms des transports acceptés dans config.json
+ */
+export const ANALYTICS_TRANSPORTS = Object.keys(TRANSPORTS);
+
+// Fonction d'envoi du transport de l'organisation (null tant que non initialisé)
+let send = null;
+
+// Propriétés ajoutées à chaque événement (organisation, langue)
+let context = {};
+
+// Consentement du visiteur (null tant qu'il ne s'est pas prononcé)
+let consent = null;
+
+// Événements en attente du consentement
+let pendingEvents = [];
+
+// Identifiant aléatoire de la visite, pour relier les événements d'un même parcours
+const visitId = Array.from(
+  crypto.getRandomValues(new Uint8Array(8)),
+  byte => byte.toString(16).padStart(2, '0'),
+).join('');
+
+/**
+ * Indique si le navigateur demande de ne pas être suivi
+ *
+ * @returns {boolean} true si Do-Not-Track ou Global Privacy Control est actif
+ */
+function isDoNotTrackEnabled() {
+  return navigator.doNotTrack === '1'
+    || window.doNotTrack === '1'
+    || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Initialise la mesure d'audience pour une organisation
+ *
+ * @param {Object} config - La configuration `analytics` de l'organisation (optionnel)
+ * @param {Object} initialContext - Les propriétés ajoutées à chaque événement (org, language)
+ */
+export function initializeAnalytics(config = {}, initialContext = {}) {
+  const transport = TRANSPORTS[config.transport] || TRANSPORTS.none;
+  send = transport(config);
+  context = initialContext;
+}
+
+/**
+ * Indique si l'organisation mesure l'audience (transport autre que "none")
+ *
+ * @param {Object} config - La configuration `analytics` de l'organisation (optionnel)
+ * @returns {boolean} true si des événements peuvent être envoyés
+ */
+export function hasAnalyticsTransport(config = {}) {
+  return Boolean(TRANSPORTS[config.transport]) && config.transport !== 'none';
+}
+
+/**
+ * Enregistre la décision de consentement du visiteur
+ *
+ * Les événements en attente sont envoyés s'il accepte, oubliés sinon.
+ *
+ * @param {boolean} granted - true si le visiteur accepte la mesure d'audience
+ */
+export function setAnalyticsConsent(granted) {
+  consent = Boolean(granted);
+  const events = pendingEvents;
+  pendingEvents = [];
+  if (consent) {
+    events.forEach(payload => deliver(payload));
+  }
+}
+
+/**
+ * Indique si les événements peuvent être envoyés
+ *
+ * @returns {boolean} true si un transport est actif, que le visiteur a consenti et ne s'y oppose pas
+ */
+export function isAnalyticsEnabled() {
+  return Boolean(send) && consent === true && !isDoNotTrackEnabled();
+}
+
+/**
+ * Transmet un événement au transport de l'organisation
+ *
+ * Les erreurs d'envoi sont journalisées : la mesure ne doit jamais
+ * interrompre le parcours du participant.
+ *
+ * @param {Object} payload - L'événement complet
+ */
+function deliver(payload) {
+  if (!isAnalyticsEnabled()) {
+    return;
+  }
+  try {
+    send(payload);
+  } catch (error) {
+    console.warn('Événement de mesure non envoyé:', error);
+  }
+}
+
+/**
+ * Conserve uniquement les propriétés autorisées et de type simple
+ *
+ * @param {Object} properties - Les propriétés de l'événement
+ * @returns {Object} Les propriétés transmissibles
+ */
+function sanitizeProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties).filter(([key, value]) => (
+      ALLOWED_PROPERTIES.includes(key) && ['string', 'number', 'boolean'].includes(typeof value)
+    )),
+  );
+}
+
+/**
+ * Envoie un événement de mesure (ou le met en attente du consentement)
+ *
+ * @param {string} event - Le nom de l'événement (voir ANALYTICS_EVENTS)
+ * @param {Object} properties - Les propriétés de l'événement (voir ALLOWED_PROPERTIES)
+ */
+export function trackEvent(event, properties = {}) {
+  if (!ANALYTICS_EVENTS.includes(event)) {
+    console.warn(`Événement de mesure inconnu: ${event}`);
+    return;
+  }
+  if (consent === false || isDoNotTrackEnabled()) {
+    return;
+  }
+
+  const payload = {
+    event,
+    visit: visitId,
+    timestamp: new Date().toISOString(),
+    ...sanitizeProperties({ ...context, ...properties }),
+  };
+
+  if (consent === null) {
+    if (pendingEvents.length < MAX_PENDING_EVENTS) {
+      pendingEvents.push(payload);
+    }
+    return;
+  }
+  deliver(payload);
+}
@@ -0,0 +1,163 @@
+/**
+ * Construction et validation des liens d'attestation
+ *
+ * Partagé entre la page (lecture de l'URL) et les outils en ligne de
+ * commande (génération des liens) pour que les règles ne divergent jamais.
+ */
+
+import { signParams } from './signature.js';
+
+/**
+ * Paramètres d'URL reconnus par la page
+ */
+export const ATTESTATION_PARAMS = [
+  'org', 'pdf', 'prenom', 'mois', 'annee', 'moisExpiration', 'anneeExpiration', 'orgId', 'formation', 'certId', 'exp', 'sig',
+];
+
+/**
+ * Paramètres obligatoires (en plus de `org`)
+ */
+export const REQUIRED_PARAMS = ['pdf', 'formation', 'certId'];
+
+/**
+ * Extrait les paramètres d'attestation d'une query string
+ *
+ * @param {URLSearchParams} searchParams - Les paramètres de l'URL
+ * @returns {Object} Les paramètres (null si absents)
+ */
+export function extractAttestationParams(searchParams) {
+  const params = {};
+  ATTESTATION_PARAMS.forEach(key => {
+    params[key] = searchParams.get(key);
+  });
+  return params;
+}
+
+/**
+ * Retourne la liste des paramètres obligatoires manquants
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @returns {string[]} Les noms des paramètres manquants
+ */
+export function getMissingParams(params) {
+  return REQUIRED_PARAMS.filter(key => !params[key]);
+}
+
+/**
+ * Indique si un mois est au format attendu ("1" à "12", ou "01" à "09")
+ *
+ * @param {string} value - Le mois
+ * @returns {boolean} true si le mois est valide
+ */
+function isValidMonth(value) {
+  const month = parseInt(value, 10);
+  return /^\d{1,2}$/.test(value) && month >= 1 && month <= 12;
+}
+
+/**
+ * Numérote un mois pour comparer deux dates (année * 12 + mois)
+ *
+ * @param {string} year - L'année
+ * @param {string|number} month - Le mois
+ * @returns {number} Le numéro du mois
+ */
+function getMonthIndex(year, month) {
+  return parseInt(year, 10) * 12 + parseInt(month, 10);
+}
+
+/**
+ * Retourne les erreurs des paramètres de l'attestation (hors `org`) :
+ * paramètres obligatoires manquants et valeurs mal formées
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @returns {string[]} Les messages d'erreur (vide si valide)
+ */
+export function getParamErrors(params) {
+  const errors = getMissingParams(params).map(key => `Paramètre obligatoire manquant: ${key}`);
+
+  if (params.pdf && !/^https?:\/\//i.test(params.pdf)) {
+    errors.push(`Paramètre invalide: pdf doit être une URL http(s) (${params.pdf})`);
+  }
+  ['mois', 'moisExpiration'].filter(key => params[key] && !isValidMonth(params[key])).forEach(key => {
+    errors.push(`Paramètre invalide: ${key} doit être compris entre 1 et 12 (${params[key]})`);
+  });
+  ['annee', 'anneeExpiration'].filter(key => params[key] && !/^\d{4}$/.test(params[key])).forEach(key => {
+    errors.push(`Paramètre invalide: ${key} doit compter 4 chiffres (${params[key]})`);
+  });
+  if (params.moisExpiration && !params.anneeExpiration) {
+    errors.push('Paramètre invalide: moisExpiration exige anneeExpiration');
+  }
+  // Sans mois, l'émission est comptée en janvier et l'expiration en décembre
+  const issued = getMonthIndex(params.annee, params.mois || 1);
+  const expires = getMonthIndex(params.anneeExpiration, params.moisExpiration || 12);
+  if (expires < issued) {
+    errors.push('Paramètre invalide: la date d\'expiration précède la date d\'émission');
+  }
+  if (params.orgId && !/^\d+$/.test(params.orgId)) {
+    errors.push(`Paramètre invalide: orgId doit être l'identifiant numérique d'une page LinkedIn (${params.orgId})`);
+  }
+  if (params.exp && !/^\d+$/.test(params.exp)) {
+    errors.push(`Paramètre invalide: exp doit être un horodatage Unix en secondes (${params.exp})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valide un ensemble de paramètres avec les mêmes règles que la page
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} configData - Le contenu complet de config.json
+ * @returns {string[]} Les messages d'erreur (vide si valide)
+ */
+export function validateAttestationParams(params, configData) {
+  const errors = [];
+
+  if (!params.org || !String(params.org).trim()) {
+    errors.push('Paramètre obligatoire manquant: org');
+  } else if (!configData[params.org]) {
+    errors.push(`Organisation inconnue: ${params.org}`);
+  }
+
+  return [...errors, ...getParamErrors(params)];
+}
+
+/**
+ * Construit l'URL de la page de partage pour une attestation
+ *
+ * Le lien est signé si la clé privée de l'organisation est fournie.
+ *
+ * @param {string} baseUrl - L'URL de base de l'application
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {CryptoKey} signingKey - La clé privée de l'organisation (optionnel, voir importSigningKey)
+ * @returns {Promise<string>} L'URL complète
+ */
+export async function buildAttestationUrl(baseUrl, params, signingKey) {
+  const url = new URL(baseUrl);
+
+  ATTESTATION_PARAMS
+    .filter(key => key !== 'sig' && params[key])
+    .forEach(key => url.searchParams.set(key, params[key]));
+
+  if (signingKey) {
+    url.searchParams.set('sig', await signParams(params, signingKey));
+  }
+
+  return url.toString();
+}
+
+/**
+ * Construit l'URL publique de vérification d'une attestation
+ *
+ * @param {string} baseUrl - L'URL de base de l'application
+ * @param {string} org - L'identifiant de l'organisation
+ * @param {string} certId - L'identifiant du certificat
+ * @returns {string} L'URL de la page /verify/<certId>
+ */
+export function buildVerificationUrl(baseUrl, org, certId) {
+  const url = new URL(`verify/${encodeURIComponent(certId)}`, baseUrl);
+  if (org) {
+    url.searchParams.set('org', org);
+  }
+  return url.toString();
+}
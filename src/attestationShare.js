@@ -0,0 +1,86 @@
+/**
+ * Liens de partage LinkedIn d'une attestation
+ *
+ * Construit, à partir des paramètres de l'attestation et de la
+ * configuration de son organisation, les liens des deux étapes
+ * ("Ajouter au profil" et publication). Partagé entre la page de partage,
+ * le composant intégrable (src/widget.js) et la page /builder pour que les
+ * liens soient identiques partout.
+ */
+
+import { buildLinkedInAddToProfileUrl, buildLinkedInShareUrl } from './linkedin.js';
+import { resolveMessageTemplates, buildTemplateValues, renderMessageTemplate } from './messageTemplates.js';
+import { buildVerificationUrl } from './attestationLink.js';
+
+/**
+ * Retourne l'identifiant de la page LinkedIn de l'organisation
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @returns {string|null} Celui de config.json, sinon celui du lien (`orgId`), sinon null
+ */
+export function getLinkedInOrganizationId(params, config) {
+  const organizationId = config.linkedinOrganizationId || params.orgId;
+  return organizationId ? String(organizationId) : null;
+}
+
+/**
+ * Retourne le lien ajouté au message : image de l'organisation, sinon page de vérification
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} baseUrl - L'URL de base de l'application
+ * @returns {string} Le lien
+ */
+export function getShareLinkUrl(params, config, baseUrl) {
+  return config.shareImageUrl || buildVerificationUrl(baseUrl, params.org, params.certId);
+}
+
+/**
+ * Construit le lien "Ajouter au profil" (étape 1)
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} baseUrl - L'URL de base de l'application
+ * @returns {string} L'URL du formulaire LinkedIn
+ */
+export function buildAddToProfileUrl(params, config, baseUrl) {
+  return buildLinkedInAddToProfileUrl({
+    organizationId: getLinkedInOrganizationId(params, config),
+    organizationName: config.organizationName,
+    formation: params.formation,
+    certId: params.certId,
+    annee: params.annee,
+    mois: params.mois,
+    anneeExpiration: params.anneeExpiration,
+    moisExpiration: params.moisExpiration,
+    pdfUrl: params.pdf,
+    verificationUrl: buildVerificationUrl(baseUrl, params.org, params.certId),
+  });
+}
+
+/**
+ * Génère le message du modèle par défaut de l'organisation (dans la langue courante)
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @returns {string} Le message (sans le lien)
+ */
+export function buildDefaultShareMessage(params, config) {
+  const { templates, defaultId } = resolveMessageTemplates(config);
+  const template = templates.find(({ id }) => id === defaultId);
+  return renderMessageTemplate(template.text, buildTemplateValues(params, config));
+}
+
+/**
+ * Construit le lien de publication (étape 2)
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} baseUrl - L'URL de base de l'application
+ * @param {string} message - Le message (défaut: modèle par défaut de l'organisation)
+ * @returns {string} L'URL de partage LinkedIn
+ */
+export function buildShareUrl(params, config, baseUrl, message = buildDefaultShareMessage(params, config)) {
+  return buildLinkedInShareUrl({ message, linkUrl: getShareLinkUrl(params, config, baseUrl) });
+}
@@ -0,0 +1,346 @@
+/**
+ * Point d'entrée du générateur de liens (/builder)
+ *
+ * Page interne des coordonnateurs : compose le lien d'un participant à
+ * partir des organisations de config.json, le valide au fil de la saisie
+ * avec les mêmes règles que la page de partage, et affiche les liens
+ * LinkedIn exacts (src/attestationShare.js), un code QR et un aperçu de la
+ * page du participant.
+ *
+ * Le générateur n'est servi que par le serveur de développement
+ * (`npm run dev`) : il ne fait pas partie du build déployé. Les liens
+ * générés pointent vers l'adresse de l'application saisie (l'application
+ * déployée); l'aperçu ouvre la page locale avec `preview=1`, qui n'envoie
+ * aucune mesure d'audience et ne conserve rien (src/privacy.js).
+ *
+ * L'état de complétion des étapes n'est conservé que dans le navigateur
+ * de chaque participant (src/completionState.js) : le générateur n'y a
+ * pas accès et ne l'affiche pas.
+ *
+ * Les valeurs du formulaire sont reprises dans l'URL du générateur pour
+ * pouvoir la partager ou changer de langue sans perdre la saisie. Pour les
+ * organisations qui signent leurs liens, le coordonnateur charge la clé
+ * privée (fichier PEM de `npm run keygen`) : elle reste en mémoire dans ce
+ * navigateur, ni conservée ni envoyée.
+ */
+
+import QRCode from 'qrcode';
+import { extractAttestationParams, validateAttestationParams, buildAttestationUrl } from './attestationLink.js';
+import { buildAddToProfileUrl, buildShareUrl } from './attestationShare.js';
+import { fetchConfigData } from './config.js';
+import { validateOrganizationConfig } from './configSchema.js';
+import { PREVIEW_PARAM } from './privacy.js';
+import { importSigningKey, matchesVerificationKey } from './signature.js';
+import {
+  t, setLanguage, detectLanguage, applyTranslations, initializeLanguageToggle, formatMonthName,
+} from './i18n.js';
+
+/**
+ * Champs du formulaire (paramètres de l'attestation)
+ */
+const FORM_FIELDS = ['org', 'prenom', 'formation', 'mois', 'annee', 'certId', 'pdf'];
+
+/**
+ * Paramètre de l'URL du générateur qui reprend l'adresse de l'application
+ */
+const BASE_URL_PARAM = 'app';
+
+/**
+ * Délai avant de recharger l'aperçu après une saisie (en millisecondes)
+ */
+const PREVIEW_DELAY_MS = 800;
+
+let previewTimer = null;
+// Mise à jour en cours : une saisie plus récente l'emporte
+let updateId = 0;
+// Clés privées chargées, par organisation
+const signingKeys = new Map();
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('builder-form');
+
+  setLanguage(detectLanguage());
+  applyTranslations();
+  initializeLanguageToggle(document.getElementById('language-toggle'));
+
+  let configData;
+  try {
+    configData = await fetchConfigData();
+  } catch (error) {
+    console.error('Erreur lors du chargement de la configuration:', error);
+    form.classList.add('hidden');
+    document.getElementById('builder-unavailable').classList.remove('hidden');
+    return;
+  }
+
+  fillOrganizations(form.elements.org, configData);
+  fillMonths(form.elements.mois);
+  const builderParams = new URLSearchParams(window.location.search);
+  restoreFormValues(form, extractAttestationParams(builderParams));
+  form.elements.baseUrl.value = builderParams.get(BASE_URL_PARAM) || '';
+
+  form.addEventListener('input', event => {
+    if (event.target.type !== 'file') {
+      updateBuilder(form, configData);
+    }
+  });
+  initializeSigningKey(form, configData);
+  form.addEventListener('submit', event => event.preventDefault());
+  initializeCopyButtons();
+  updateBuilder(form, configData);
+});
+
+/**
+ * Remplit la liste des organisations
+ *
+ * @param {HTMLSelectElement} select - La liste
+ * @param {Object} configData - Le contenu complet de config.json
+ */
+function fillOrganizations(select, configData) {
+  select.replaceChildren(...Object.entries(configData).map(([orgId, config]) => (
+    new Option(config?.organizationName ? `${config.organizationName} (${orgId})` : orgId, orgId)
+  )));
+}
+
+/**
+ * Remplit la liste des mois (vide : date d'émission sans mois)
+ *
+ * @param {HTMLSelectElement} select - La liste
+ */
+function fillMonths(select) {
+  const months = Array.from({ length: 12 }, (_, index) => String(index + 1));
+  select.replaceChildren(
+    new Option('—', ''),
+    ...months.map(month => new Option(formatMonthName(month), month)),
+  );
+}
+
+/**
+ * Reprend les valeurs de l'URL du générateur dans le formulaire
+ *
+ * @param {HTMLFormElement} form - Le formulaire
+ * @param {Object} params - Les paramètres lus dans l'URL
+ */
+function restoreFormValues(form, params) {
+  FORM_FIELDS.filter(field => params[field]).forEach(field => {
+    form.elements[field].value = params[field];
+  });
+}
+
+/**
+ * Lit les paramètres de l'attestation saisis
+ *
+ * @param {HTMLFormElement} form - Le formulaire
+ * @returns {Object} Les paramètres (null si vides)
+ */
+function readFormParams(form) {
+  return Object.fromEntries(FORM_FIELDS.map(field => [field, form.elements[field].value.trim() || null]));
+}
+
+/**
+ * Lit l'adresse de l'application saisie
+ *
+ * @param {HTMLFormElement} form - Le formulaire
+ * @returns {{baseUrl: string|null, errors: string[]}} L'origine de l'application (null si vide ou invalide) et les erreurs
+ */
+function readBaseUrl(form) {
+  const value = form.elements.baseUrl.value.trim();
+  if (!value) {
+    return { baseUrl: null, errors: [t('builder.baseUrl.missing')] };
+  }
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'https:' || url.protocol === 'http:') {
+      return { baseUrl: url.origin, errors: [] };
+    }
+  } catch (error) {
+    // Adresse mal formée
+  }
+  return { baseUrl: null, errors: [t('builder.baseUrl.invalid')] };
+}
+
+/**
+ * Reporte la saisie dans l'URL du générateur
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {string} baseUrl - L'adresse de l'application saisie
+ */
+function syncBuilderUrl(params, baseUrl) {
+  const url = new URL(window.location.href);
+  [...FORM_FIELDS.map(field => [field, params[field]]), [BASE_URL_PARAM, baseUrl]].forEach(([name, value]) => {
+    if (value) {
+      url.searchParams.set(name, value);
+    } else {
+      url.searchParams.delete(name);
+    }
+  });
+  window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Charge la clé privée choisie pour l'organisation sélectionnée
+ *
+ * @param {HTMLFormElement} form - Le formulaire
+ * @param {Object} configData - Le contenu complet de config.json
+ */
+function initializeSigningKey(form, configData) {
+  const input = document.getElementById('builder-signing-key');
+
+  input.addEventListener('change', async () => {
+    const orgId = form.elements.org.value;
+    const [file] = input.files;
+    signingKeys.delete(orgId);
+
+    if (file) {
+      try {
+        const signingKey = await importSigningKey(await file.text());
+        signingKeys.set(orgId, await matchesVerificationKey(signingKey, configData[orgId].verificationKey) ? signingKey : null);
+      } catch (error) {
+        console.error('Clé privée illisible:', error);
+        signingKeys.set(orgId, null);
+      }
+    }
+    updateBuilder(form, configData);
+  });
+}
+
+/**
+ * Retourne les erreurs de signature de l'organisation sélectionnée
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {Object} config - La configuration de l'organisation
+ * @returns {string[]} Les messages d'erreur (vide si le lien peut être signé ou n'a pas à l'être)
+ */
+function getSigningErrors(orgId, config) {
+  if (!config?.verificationKey) {
+    return [];
+  }
+  if (!signingKeys.has(orgId)) {
+    return [t('builder.signing.missing')];
+  }
+  return signingKeys.get(orgId) ? [] : [t('builder.signing.invalid')];
+}
+
+/**
+ * Valide la saisie et met à jour les liens, le code QR et l'aperçu
+ *
+ * @param {HTMLFormElement} form - Le formulaire
+ * @param {Object} configData - Le contenu complet de config.json
+ */
+async function updateBuilder(form, configData) {
+  const currentUpdate = ++updateId;
+  const params = readFormParams(form);
+  const config = configData[params.org];
+  const { baseUrl, errors: baseUrlErrors } = readBaseUrl(form);
+  syncBuilderUrl(params, form.elements.baseUrl.value.trim());
+  document.getElementById('builder-signing').classList.toggle('hidden', !config?.verificationKey);
+
+  // Mêmes règles que la page : configuration de l'organisation, puis paramètres
+  const errors = [
+    ...baseUrlErrors,
+    ...(config ? validateOrganizationConfig(config, params.org) : []),
+    ...validateAttestationParams(params, configData),
+    ...getSigningErrors(params.org, config),
+  ];
+  displayErrors(errors);
+
+  const valid = errors.length === 0;
+  document.getElementById('builder-results').classList.toggle('hidden', !valid);
+  document.getElementById('builder-preview').classList.toggle('hidden', !valid);
+  clearTimeout(previewTimer);
+  if (!valid) {
+    return;
+  }
+
+  const participantUrl = await buildAttestationUrl(`${baseUrl}/`, params, signingKeys.get(params.org));
+  if (currentUpdate !== updateId) {
+    return;
+  }
+  const previewUrl = buildPreviewUrl(participantUrl);
+  document.getElementById('builder-participant-url').value = participantUrl;
+  document.getElementById('builder-add-to-profile-url').value = buildAddToProfileUrl(params, config, baseUrl);
+  document.getElementById('builder-share-url').value = buildShareUrl(params, config, baseUrl);
+  document.getElementById('builder-signed').classList.toggle('hidden', !config.verificationKey);
+  document.getElementById('builder-preview-open').href = previewUrl;
+
+  displayQrCode(participantUrl);
+  previewTimer = setTimeout(() => loadPreview(previewUrl), PREVIEW_DELAY_MS);
+}
+
+/**
+ * Affiche les erreurs de validation
+ *
+ * @param {string[]} errors - Les messages d'erreur
+ */
+function displayErrors(errors) {
+  const list = document.getElementById('builder-errors');
+  list.replaceChildren(...errors.map(error => {
+    const item = document.createElement('li');
+    item.className = 'message-lint-error';
+    item.textContent = error;
+    return item;
+  }));
+  list.classList.toggle('hidden', errors.length === 0);
+}
+
+/**
+ * Dessine le code QR du lien du participant
+ *
+ * @param {string} url - Le lien du participant
+ */
+function displayQrCode(url) {
+  const canvas = document.getElementById('builder-qr-canvas');
+  const download = document.getElementById('builder-qr-download');
+
+  QRCode.toCanvas(canvas, url, { width: 200, margin: 2, errorCorrectionLevel: 'M' })
+    .then(() => {
+      download.href = canvas.toDataURL('image/png');
+    })
+    .catch(error => console.error('Erreur lors de la génération du code QR:', error));
+}
+
+/**
+ * Construit l'adresse de l'aperçu d'un lien de participant
+ *
+ * L'aperçu est servi par le serveur local, avec `preview=1` : la page
+ * n'y envoie aucune mesure d'audience et ne conserve rien.
+ *
+ * @param {string} participantUrl - Le lien du participant
+ * @returns {string} L'adresse de l'aperçu
+ */
+function buildPreviewUrl(participantUrl) {
+  const url = new URL(new URL(participantUrl).search, `${window.location.origin}/`);
+  url.searchParams.set(PREVIEW_PARAM, '1');
+  return url.toString();
+}
+
+/**
+ * Charge la page du participant dans l'aperçu (si le lien a changé)
+ *
+ * @param {string} url - Le lien du participant
+ */
+function loadPreview(url) {
+  const frame = document.getElementById('builder-preview-frame');
+  if (frame.src !== url) {
+    frame.src = url;
+  }
+}
+
+/**
+ * Configure les boutons "Copier" des liens générés
+ */
+function initializeCopyButtons() {
+  document.querySelectorAll('[data-copy]').forEach(button => {
+    button.addEventListener('click', () => {
+      const { value } = document.getElementById(button.dataset.copy);
+      navigator.clipboard?.writeText(value)
+        .then(() => {
+          button.textContent = t('builder.results.copied');
+          setTimeout(() => {
+            button.textContent = t('builder.results.copy');
+          }, 2000);
+        })
+        .catch(error => console.warn('Impossible de copier le lien:', error));
+    });
+  });
+}
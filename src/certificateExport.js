@@ -0,0 +1,97 @@
+/**
+ * Export de l'attestation en image (téléchargement, presse-papiers, impression)
+ *
+ * L'image est rendue à partir de la première page du PDF (renderPdfToImage),
+ * à la résolution choisie : les dimensions d'une page PDF sont exprimées en
+ * points (1/72 po), l'échelle de rendu est donc résolution / 72.
+ */
+
+import { renderPdfToImage } from './pdfRenderer.js';
+
+/**
+ * Formats d'image proposés
+ */
+export const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+};
+
+/**
+ * Résolutions proposées (en points par pouce) : écran, standard, impression
+ */
+export const EXPORT_RESOLUTIONS = [96, 150, 300];
+
+/**
+ * Résolution de l'image imprimée
+ */
+export const PRINT_RESOLUTION = 300;
+
+const POINTS_PER_INCH = 72;
+
+// Images déjà rendues pendant la visite, par document (clé: "<format>|<résolution>")
+const renders = new WeakMap();
+
+/**
+ * Rend l'attestation en image
+ *
+ * @param {Object} pdf - Le document PDF.js déjà chargé (voir loadPdfDocument)
+ * @param {Object} options - Les options
+ * @param {string} options.format - Le format (clé de EXPORT_FORMATS, défaut: "png")
+ * @param {number} options.dpi - La résolution en points par pouce (défaut: 150)
+ * @returns {Promise<Blob>} L'image
+ */
+export function renderCertificateImage(pdf, { format = 'png', dpi = 150 } = {}) {
+  if (!renders.has(pdf)) {
+    renders.set(pdf, new Map());
+  }
+  const documentRenders = renders.get(pdf);
+  const key = `${format}|${dpi}`;
+  if (!documentRenders.has(key)) {
+    const request = renderPdfToImage(pdf, dpi / POINTS_PER_INCH, EXPORT_FORMATS[format].mimeType)
+      .then(({ dataUrl }) => fetch(dataUrl))
+      .then(response => response.blob());
+    // Ne pas conserver un échec : le prochain essai rendra de nouveau l'image
+    documentRenders.set(key, request.catch(error => {
+      documentRenders.delete(key);
+      throw error;
+    }));
+  }
+  return documentRenders.get(key);
+}
+
+/**
+ * Génère le nom du fichier téléchargé
+ *
+ * @param {Object} urlParams - Les paramètres de l'attestation
+ * @param {string} format - Le format (clé de EXPORT_FORMATS)
+ * @param {number} dpi - La résolution
+ * @returns {string} Le nom du fichier (ex: "attestation-ASC-2025-001-300dpi.jpg")
+ */
+export function getExportFileName(urlParams, format, dpi) {
+  return `attestation-${urlParams.certId || 'document'}-${dpi}dpi.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Indique si le navigateur peut copier une image dans le presse-papiers
+ *
+ * @returns {boolean} true si la copie est prise en charge
+ */
+export function canCopyImage() {
+  return Boolean(navigator.clipboard?.write) && typeof ClipboardItem !== 'undefined';
+}
+
+/**
+ * Copie l'attestation dans le presse-papiers (PNG, seul format accepté partout)
+ *
+ * La promesse de l'image est passée directement à ClipboardItem : Safari
+ * exige que la copie soit demandée pendant le clic, avant la fin du rendu.
+ *
+ * @param {Object} pdf - Le document PDF.js déjà chargé
+ * @param {number} dpi - La résolution
+ * @returns {Promise<void>}
+ */
+export function copyCertificateImage(pdf, dpi) {
+  return navigator.clipboard.write([
+    new ClipboardItem({ 'image/png': renderCertificateImage(pdf, { format: 'png', dpi }) }),
+  ]);
+}
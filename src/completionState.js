@@ -0,0 +1,156 @@
+/**
+ * État de complétion des étapes de partage
+ *
+ * Conservé dans le localStorage, une entrée par attestation :
+ *
+ *   "cert_completion_<certId>": {
+ *     "org": "cas",
+ *     "step1": { "completed": true, "timestamp": 1730000000000 },
+ *     "step2": { "completed": false, "timestamp": null }
+ *   }
+ *
+ * Les premières versions enregistraient des booléens (`"step1": true`)
+ * accompagnés de `step1Timestamp`/`step2Timestamp`, ou d'un `timestamp`
+ * commun aux deux étapes : migrateCompletionState convertit ces entrées.
+ */
+
+/**
+ * Préfixe des états de complétion dans le localStorage
+ */
+export const COMPLETION_STORAGE_PREFIX = 'cert_completion_';
+
+/**
+ * Étapes suivies (1: ajout au profil, 2: publication)
+ */
+export const COMPLETION_STEPS = ['step1', 'step2'];
+
+/**
+ * Délai par défaut avant l'affichage de la vue "attestation partagée" (en minutes)
+ */
+export const DEFAULT_COMPLETED_VIEW_DELAY_MINUTES = 2;
+
+/**
+ * Génère la clé d'une attestation dans le localStorage
+ *
+ * @param {Object} urlParams - Les paramètres de l'attestation
+ * @param {string} organizationName - Le nom de l'organisation (clé sans certId)
+ * @returns {string} La clé
+ */
+export function getCompletionStorageKey(urlParams, organizationName) {
+  // Utiliser certId si disponible, sinon combiner plusieurs paramètres
+  if (urlParams.certId) {
+    return `${COMPLETION_STORAGE_PREFIX}${urlParams.certId}`;
+  }
+  const keyParts = [
+    urlParams.pdf,
+    urlParams.formation,
+    organizationName,
+  ].filter(Boolean);
+  return `${COMPLETION_STORAGE_PREFIX}${btoa(keyParts.join('|')).replace(/[+/=]/g, '')}`;
+}
+
+/**
+ * Convertit un horodatage enregistré (nombre ou texte) en millisecondes
+ *
+ * @param {*} value - La valeur enregistrée
+ * @returns {number|null} L'horodatage, ou null s'il est absent ou illisible
+ */
+function parseTimestamp(value) {
+  const timestamp = parseInt(value, 10);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Convertit un état de complétion enregistré au format actuel
+ *
+ * Les étapes en ancien format (booléen) reprennent leur `stepXTimestamp`,
+ * à défaut le `timestamp` commun. Une valeur illisible donne un état vide.
+ *
+ * @param {*} stored - L'état lu dans le localStorage (ancien ou nouveau format)
+ * @returns {Object} L'état ({ org, step1: { completed, timestamp }, step2: { completed, timestamp } })
+ */
+export function migrateCompletionState(stored) {
+  const source = stored && typeof stored === 'object' ? stored : {};
+  const state = {};
+
+  if (typeof source.org === 'string') {
+    state.org = source.org;
+  }
+
+  COMPLETION_STEPS.forEach(step => {
+    const value = source[step];
+
+    if (value && typeof value === 'object') {
+      state[step] = {
+        completed: Boolean(value.completed),
+        timestamp: parseTimestamp(value.timestamp),
+      };
+    } else {
+      const completed = value === true;
+      state[step] = {
+        completed,
+        timestamp: completed ? parseTimestamp(source[`${step}Timestamp`] ?? source.timestamp) : null,
+      };
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Retourne la date de la dernière étape terminée
+ *
+ * @param {Object} state - L'état de complétion (format actuel)
+ * @returns {number|null} L'horodatage en millisecondes, ou null si aucune étape n'est datée
+ */
+export function getLastActivity(state) {
+  const timestamps = COMPLETION_STEPS
+    .map(step => state[step]?.timestamp)
+    .filter(timestamp => typeof timestamp === 'number');
+  return timestamps.length > 0 ? Math.max(...timestamps) : null;
+}
+
+/**
+ * Lit l'état de complétion d'une attestation
+ *
+ * @param {string} storageKey - La clé de l'attestation
+ * @returns {Object} L'état (format actuel, vide s'il n'existe pas ou est illisible)
+ */
+export function readCompletionState(storageKey) {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey));
+  } catch (error) {
+    console.error('Erreur lors de la lecture de l\'état:', error);
+  }
+  return migrateCompletionState(stored);
+}
+
+/**
+ * Enregistre une étape terminée (l'entrée est réécrite au format actuel)
+ *
+ * @param {string} storageKey - La clé de l'attestation
+ * @param {string} step - L'étape ("step1" ou "step2")
+ * @param {string} orgId - L'organisation de l'attestation (durée de conservation, voir privacy.js)
+ */
+export function saveCompletedStep(storageKey, step, orgId) {
+  const state = readCompletionState(storageKey);
+  state.org = orgId;
+  state[step] = { completed: true, timestamp: Date.now() };
+
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(state));
+  } catch (error) {
+    console.error('Erreur lors de la sauvegarde de l\'état:', error);
+  }
+}
+
+/**
+ * Retourne le délai avant la vue "attestation partagée" d'une organisation
+ *
+ * @param {Object} config - La configuration de l'organisation (optionnel)
+ * @returns {number} Le délai en millisecondes depuis la dernière étape terminée
+ */
+export function getCompletedViewDelay(config) {
+  return (config?.completedView?.delayMinutes ?? DEFAULT_COMPLETED_VIEW_DELAY_MINUTES) * 60 * 1000;
+}
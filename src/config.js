@@ -0,0 +1,67 @@
+/**
+ * Chargement et application de la configuration des organisations
+ *
+ * Partagé entre la page de partage et la page de vérification.
+ */
+
+import { t } from './i18n.js';
+import { applyTheme, checkThemeContrast } from './theme.js';
+
+/**
+ * URL de la configuration servie par l'application
+ */
+export const CONFIG_URL = '/config.json';
+
+/**
+ * Charge le contenu complet de config.json
+ *
+ * @param {string} baseUrl - L'URL de l'application (défaut: celle de la page, voir src/widget.js)
+ * @returns {Promise<Object>} La configuration indexée par identifiant d'organisation
+ * @throws {Error} Si le fichier ne peut pas être chargé
+ */
+export async function fetchConfigData(baseUrl) {
+  const response = await fetch(baseUrl ? new URL(CONFIG_URL, baseUrl) : CONFIG_URL);
+  if (!response.ok) {
+    throw new Error(`Erreur de chargement de la configuration: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Applique la configuration chargée à l'interface
+ * 
+ * @param {Object} config - La configuration à appliquer
+ * @param {string} titlePrefix - Le début du titre de la page (défaut: titre traduit de la page de partage)
+ */
+export function applyConfiguration(config, titlePrefix = t('page.title')) {
+  // Mettre à jour le favicon
+  const favicon = document.getElementById('favicon');
+  if (config.favicon && favicon) {
+    favicon.href = `/${config.favicon}`;
+  }
+  
+  // Mettre à jour le logo dans le header
+  const headerLogo = document.getElementById('header-logo');
+  if (config.logo && headerLogo) {
+    headerLogo.src = `/${config.logo}`;
+  }
+  
+  // Mettre à jour le lien du header avec l'URL du site de l'organisation
+  const headerLink = document.getElementById('header-link');
+  if (config.websiteUrl && headerLink) {
+    headerLink.href = config.websiteUrl;
+  }
+  
+  // Mettre à jour le titre de la page
+  const pageTitle = document.getElementById('page-title');
+  if (config.organizationName && pageTitle) {
+    pageTitle.textContent = `${titlePrefix} - ${config.organizationName}`;
+  }
+  
+  // Appliquer le thème (couleurs, police, bandeau, pied de page)
+  applyTheme(config.theme, config.organizationName);
+  const contrastWarnings = checkThemeContrast(config.theme);
+  if (contrastWarnings.length > 0) {
+    console.warn(`Thème peu lisible pour ${config.organizationName}:`, contrastWarnings);
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * Schéma des entrées de config.json
+ *
+ * Chaque organisation est décrite par les champs ci-dessous. Les champs
+ * inconnus sont signalés (ils trahissent souvent une faute de frappe,
+ * ex: "logos" au lieu de "logo").
+ *
+ * Utilisé au chargement de la page et par `npm run check-config`.
+ */
+
+import { SUPPORTED_LANGUAGES } from './i18n.js';
+import { DEFAULT_TEMPLATE_IDS, validateMessageTemplates } from './messageTemplates.js';
+import { ANALYTICS_TRANSPORTS } from './analytics.js';
+import { SHARE_TARGET_IDS } from './shareTargets.js';
+
+/**
+ * Champs du thème d'une organisation (voir src/theme.js)
+ */
+export const THEME_SCHEMA = {
+  primaryColor: { type: 'color' },
+  primaryDarkColor: { type: 'color' },
+  secondaryColor: { type: 'color' },
+  textColor: { type: 'color' },
+  backgroundColor: { type: 'color' },
+  fontFamily: { type: 'string' },
+  fontStylesheetUrl: { type: 'url' },
+  bannerImage: { type: 'asset' },
+  footerLogo: { type: 'asset' },
+  footerText: { type: 'localizedString' },
+  headerTagline: { type: 'localizedString' },
+};
+
+/**
+ * Coordonnées affichées sur les pages d'erreur
+ */
+export const CONTACT_SCHEMA = {
+  email: { type: 'email' },
+  url: { type: 'url' },
+  phone: { type: 'string' },
+};
+
+/**
+ * Mesure d'audience (voir src/analytics.js)
+ */
+export const ANALYTICS_SCHEMA = {
+  transport: { type: 'enum', values: ANALYTICS_TRANSPORTS },
+  endpoint: { type: 'url' },
+};
+
+/**
+ * Conservation des données sur l'appareil du participant (voir src/privacy.js)
+ */
+export const PRIVACY_SCHEMA = {
+  retentionDays: { type: 'integer', min: 1 },
+};
+
+/**
+ * Vue "attestation partagée" affichée après les étapes (voir src/completionState.js)
+ */
+export const COMPLETED_VIEW_SCHEMA = {
+  delayMinutes: { type: 'integer', min: 0 },
+};
+
+/**
+ * Proxy des PDF servis sans en-têtes CORS (voir src/pdfProxy.js)
+ */
+export const PDF_PROXY_SCHEMA = {
+  allowedHosts: { type: 'hostList', required: true },
+};
+
+/**
+ * Champs d'une organisation
+ *
+ * Types : string, localizedString (texte ou textes par langue), asset
+ * (chemin relatif d'une image dans public/), url, email, publicKey (clé publique ECDSA P-256), color, language,
+ * integer (valeur minimale `min`), digits (identifiant numérique), stringList,
+ * hostList (noms d'hôte, "*." pour les sous-domaines), templates, enum et
+ * enumList (valeur ou liste de valeurs permises décrites par `values`),
+ * object (champs imbriqués décrits par `fields`).
+ */
+export const ORGANIZATION_SCHEMA = {
+  organizationName: { type: 'string', required: true },
+  logo: { type: 'asset', required: true },
+  favicon: { type: 'asset' },
+  websiteUrl: { type: 'url' },
+  shareImageUrl: { type: 'url' },
+  verificationKey: { type: 'publicKey', required: true },
+  defaultLanguage: { type: 'language' },
+  messageTemplates: { type: 'templates' },
+  defaultMessageTemplate: { type: 'string' },
+  hashtags: { type: 'stringList' },
+  linkedinMention: { type: 'string' },
+  linkedinOrganizationId: { type: 'digits' },
+  shareTargets: { type: 'enumList', values: SHARE_TARGET_IDS },
+  theme: { type: 'object', fields: THEME_SCHEMA },
+  contact: { type: 'object', fields: CONTACT_SCHEMA },
+  analytics: { type: 'object', fields: ANALYTICS_SCHEMA },
+  privacy: { type: 'object', fields: PRIVACY_SCHEMA },
+  completedView: { type: 'object', fields: COMPLETED_VIEW_SCHEMA },
+  pdfProxy: { type: 'object', fields: PDF_PROXY_SCHEMA },
+};
+
+/**
+ * Format des identifiants d'organisation (paramètre `org`, nom du fichier de registre)
+ */
+const ORG_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+const ASSET_PATTERN = /^(?!\/)(?!.*\.\.)[\w./-]+\.(svg|png|jpe?g|webp|gif|ico)$/i;
+// Clé publique ECDSA P-256 au format SPKI, en base64 (voir signature.js)
+const PUBLIC_KEY_PATTERN = /^MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE[A-Za-z0-9+/]{86}==$/;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOST_PATTERN = /^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]+$/i;
+
+/**
+ * Vérifications par type : retournent les erreurs trouvées pour une valeur
+ * (le descripteur du champ est passé en troisième argument)
+ */
+const TYPE_CHECKS = {
+  string: (value, path) => (
+    typeof value === 'string' && value.trim() ? [] : [`${path} doit être un texte non vide`]
+  ),
+  asset: (value, path) => (
+    typeof value === 'string' && ASSET_PATTERN.test(value)
+      ? []
+      : [`${path} doit être le chemin relatif d'une image dans public/ (ex: "assets/logo.svg"), reçu: ${JSON.stringify(value)}`]
+  ),
+  url: (value, path) => (
+    isHttpUrl(value) ? [] : [`${path} doit être une URL http(s) complète, reçu: ${JSON.stringify(value)}`]
+  ),
+  email: (value, path) => (
+    typeof value === 'string' && EMAIL_PATTERN.test(value)
+      ? []
+      : [`${path} doit être une adresse courriel, reçu: ${JSON.stringify(value)}`]
+  ),
+  publicKey: (value, path) => (
+    typeof value === 'string' && PUBLIC_KEY_PATTERN.test(value)
+      ? []
+      : [`${path} doit être une clé publique ECDSA P-256 en base64 (générée par npm run keygen)`]
+  ),
+  color: (value, path) => (
+    typeof value === 'string' && COLOR_PATTERN.test(value)
+      ? []
+      : [`${path} doit être une couleur hexadécimale (ex: "#233746"), reçu: ${JSON.stringify(value)}`]
+  ),
+  localizedString: (value, path) => {
+    if (!isPlainObject(value)) {
+      return TYPE_CHECKS.string(value, path);
+    }
+    return Object.entries(value).flatMap(([language, text]) => (
+      SUPPORTED_LANGUAGES.includes(language)
+        ? TYPE_CHECKS.string(text, `${path}.${language}`)
+        : [`${path}.${language} n'est pas une langue prise en charge (${SUPPORTED_LANGUAGES.join(', ')})`]
+    ));
+  },
+  language: (value, path) => (
+    SUPPORTED_LANGUAGES.includes(value)
+      ? []
+      : [`${path} doit être une langue prise en charge (${SUPPORTED_LANGUAGES.join(', ')}), reçu: ${JSON.stringify(value)}`]
+  ),
+  integer: (value, path, { min = -Infinity }) => (
+    Number.isInteger(value) && value >= min
+      ? []
+      : [`${path} doit être un nombre entier${Number.isFinite(min) ? ` supérieur ou égal à ${min}` : ''}, reçu: ${JSON.stringify(value)}`]
+  ),
+  digits: (value, path) => (
+    (typeof value === 'string' || Number.isInteger(value)) && /^\d+$/.test(String(value))
+      ? []
+      : [`${path} doit être un identifiant numérique (ex: "1234567"), reçu: ${JSON.stringify(value)}`]
+  ),
+  stringList: (value, path) => {
+    if (!Array.isArray(value)) {
+      return [`${path} doit être une liste`];
+    }
+    return value.flatMap((item, index) => TYPE_CHECKS.string(item, `${path}[${index}]`));
+  },
+  hostList: (value, path) => {
+    if (!Array.isArray(value)) {
+      return [`${path} doit être une liste`];
+    }
+    return value.flatMap((item, index) => (
+      typeof item === 'string' && HOST_PATTERN.test(item)
+        ? []
+        : [`${path}[${index}] doit être un nom d'hôte (ex: "stockage.exemple.org" ou "*.exemple.org"), reçu: ${JSON.stringify(item)}`]
+    ));
+  },
+  templates: (value, path) => validateMessageTemplates(value, path),
+  enum: (value, path, { values }) => (
+    values.includes(value) ? [] : [`${path} doit valoir ${values.map(item => `"${item}"`).join(', ')}, reçu: ${JSON.stringify(value)}`]
+  ),
+  enumList: (value, path, descriptor) => {
+    if (!Array.isArray(value)) {
+      return [`${path} doit être une liste`];
+    }
+    return value.flatMap((item, index) => TYPE_CHECKS.enum(item, `${path}[${index}]`, descriptor));
+  },
+  object: (value, path, { fields }) => validateFields(value, fields, path),
+};
+
+/**
+ * Indique si une valeur est une URL http(s) absolue
+ *
+ * @param {*} value - La valeur
+ * @returns {boolean} true si l'URL est valide
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Indique si une valeur est un objet simple (ni liste, ni null)
+ *
+ * @param {*} value - La valeur
+ * @returns {boolean} true si c'est un objet
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Valide les champs d'un objet selon un schéma
+ *
+ * @param {Object} value - L'objet à valider
+ * @param {Object} schema - Le schéma ({ champ: { type, required } })
+ * @param {string} path - Le chemin utilisé dans les messages d'erreur
+ * @returns {string[]} Les erreurs trouvées (vide si valide)
+ */
+export function validateFields(value, schema, path) {
+  if (!isPlainObject(value)) {
+    return [`${path} doit être un objet`];
+  }
+
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, descriptor]) => {
+    if (value[field] === undefined) {
+      if (descriptor.required) {
+        errors.push(`${path}.${field} est obligatoire`);
+      }
+      return;
+    }
+    errors.push(...TYPE_CHECKS[descriptor.type](value[field], `${path}.${field}`, descriptor));
+  });
+
+  Object.keys(value)
+    .filter(field => !(field in schema))
+    .forEach(field => errors.push(`${path}.${field} n'est pas un champ reconnu`));
+
+  return errors;
+}
+
+/**
+ * Valide la configuration d'une organisation
+ *
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {string[]} Les erreurs trouvées (vide si valide)
+ */
+export function validateOrganizationConfig(config, orgId) {
+  const errors = [];
+
+  if (!ORG_ID_PATTERN.test(orgId)) {
+    errors.push(`${orgId}: l'identifiant ne doit contenir que des lettres, des chiffres, "-" ou "_"`);
+  }
+
+  errors.push(...validateFields(config, ORGANIZATION_SCHEMA, orgId));
+
+  // Le modèle par défaut doit exister dans chaque liste de modèles
+  if (isPlainObject(config) && typeof config.defaultMessageTemplate === 'string') {
+    const configured = config.messageTemplates;
+    const lists = configured === undefined
+      ? [DEFAULT_TEMPLATE_IDS.map(id => ({ id }))]
+      : (Array.isArray(configured) ? [configured] : Object.values(configured || {}));
+
+    if (lists.some(list => !Array.isArray(list) || !list.some(template => template?.id === config.defaultMessageTemplate))) {
+      errors.push(`${orgId}.defaultMessageTemplate "${config.defaultMessageTemplate}" ne correspond à aucun modèle`);
+    }
+  }
+
+  // L'envoi par beacon nécessite l'adresse du collecteur
+  if (isPlainObject(config?.analytics) && config.analytics.transport === 'beacon' && config.analytics.endpoint === undefined) {
+    errors.push(`${orgId}.analytics.endpoint est obligatoire avec le transport "beacon"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valide le contenu complet de config.json
+ *
+ * @param {Object} configData - La configuration indexée par identifiant d'organisation
+ * @returns {string[]} Les erreurs trouvées (vide si valide)
+ */
+export function validateConfigData(configData) {
+  if (!isPlainObject(configData)) {
+    return ['config.json doit contenir un objet indexé par identifiant d\'organisation'];
+  }
+  if (Object.keys(configData).length === 0) {
+    return ['config.json ne déclare aucune organisation'];
+  }
+  return Object.entries(configData).flatMap(([orgId, config]) => validateOrganizationConfig(config, orgId));
+}
+
+/**
+ * Retourne les chemins des images référencées par une organisation
+ *
+ * @param {Object} config - La configuration de l'organisation (ou un objet imbriqué)
+ * @param {Object} schema - Le schéma de l'objet (défaut: ORGANIZATION_SCHEMA)
+ * @param {string} prefix - Le préfixe des noms de champs
+ * @returns {{field: string, path: string}[]} Les images (chemins relatifs à public/)
+ */
+export function getAssetPaths(config, schema = ORGANIZATION_SCHEMA, prefix = '') {
+  return Object.entries(schema).flatMap(([field, { type, fields }]) => {
+    if (type === 'object' && isPlainObject(config?.[field])) {
+      return getAssetPaths(config[field], fields, `${prefix}${field}.`);
+    }
+    return type === 'asset' && typeof config?.[field] === 'string'
+      ? [{ field: `${prefix}${field}`, path: config[field] }]
+      : [];
+  });
+}
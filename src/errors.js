@@ -0,0 +1,135 @@
+/**
+ * Erreurs de la page de partage
+ *
+ * Chaque erreur indique la page d'erreur à afficher (`page`, textes sous
+ * les clés `errorPage.<page>.*` des catalogues de traduction), si elle
+ * est passagère (`retryable`, bouton "Réessayer") et des détails
+ * techniques affichés uniquement en mode débogage (`?debug=1`).
+ */
+
+/**
+ * Erreur de base : page "service indisponible"
+ */
+export class AttestationError extends Error {
+  /**
+   * @param {string} message - Le message technique (journalisé)
+   * @param {Object} options - Les options
+   * @param {string} options.page - La page d'erreur à afficher (défaut: "unavailable")
+   * @param {boolean} options.retryable - L'erreur est passagère (défaut: false)
+   * @param {string[]} options.details - Les détails affichés en mode débogage
+   * @param {Error} options.cause - L'erreur d'origine (optionnel)
+   */
+  constructor(message, { page = 'unavailable', retryable = false, details = [], cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.page = page;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * config.json n'a pas pu être chargé (réseau, serveur)
+ */
+export class ConfigUnavailableError extends AttestationError {
+  /**
+   * @param {Error} cause - L'erreur de chargement
+   */
+  constructor(cause) {
+    super('Configuration indisponible', { retryable: true, cause, details: [cause?.message].filter(Boolean) });
+  }
+}
+
+/**
+ * Le manifeste des liens courts n'a pas pu être chargé (et aucune copie locale)
+ */
+export class ShortLinkUnavailableError extends AttestationError {
+  /**
+   * @param {string} code - Le code du lien court
+   * @param {Error} cause - L'erreur de chargement
+   */
+  constructor(code, cause) {
+    super(`Lien court impossible à résoudre: ${code}`, {
+      retryable: true,
+      cause,
+      details: [`Lien court impossible à résoudre: ${code}`, cause?.message].filter(Boolean),
+    });
+  }
+}
+
+/**
+ * La configuration de l'organisation ne respecte pas le schéma
+ */
+export class ConfigurationError extends AttestationError {
+  /**
+   * @param {string} orgId - L'identifiant de l'organisation
+   * @param {string[]} errors - Les erreurs de validation (voir configSchema.js)
+   */
+  constructor(orgId, errors) {
+    super(`Configuration invalide pour ${orgId}`, { details: errors });
+    this.orgId = orgId;
+  }
+}
+
+/**
+ * Le paramètre `org` ne correspond à aucune organisation
+ */
+export class UnknownOrganizationError extends AttestationError {
+  /**
+   * @param {string} orgId - L'identifiant demandé
+   * @param {string[]} availableOrgs - Les organisations déclarées
+   */
+  constructor(orgId, availableOrgs) {
+    super(`Organisation inconnue: ${orgId}`, {
+      page: 'unknownOrganization',
+      details: [`Organisation inconnue: ${orgId}`, `Organisations disponibles: ${availableOrgs.join(', ') || '(aucune)'}`],
+    });
+    this.orgId = orgId;
+  }
+}
+
+/**
+ * Le lien est incomplet, mal formé ou sa signature est invalide
+ */
+export class InvalidLinkError extends AttestationError {
+  /**
+   * @param {string[]} problems - Les paramètres manquants ou invalides
+   */
+  constructor(problems) {
+    super('Lien d\'attestation invalide', { page: 'brokenLink', details: problems });
+  }
+}
+
+/**
+ * Le lien signé a dépassé sa date d'expiration (`exp`)
+ */
+export class ExpiredLinkError extends AttestationError {
+  /**
+   * @param {string} exp - L'expiration du lien (horodatage Unix en secondes)
+   */
+  constructor(exp) {
+    const expiredAt = new Date(parseInt(exp, 10) * 1000);
+    super('Lien d\'attestation expiré', {
+      page: 'expiredLink',
+      details: [`Lien expiré le ${Number.isNaN(expiredAt.getTime()) ? exp : expiredAt.toISOString()}`],
+    });
+  }
+}
+
+/**
+ * Le serveur du PDF de l'attestation répond par une erreur (404, 500...)
+ */
+export class PdfUnavailableError extends AttestationError {
+  /**
+   * @param {string} pdfUrl - L'URL du PDF
+   * @param {Error} cause - L'erreur de PDF.js
+   */
+  constructor(pdfUrl, cause) {
+    super(`PDF inaccessible: ${pdfUrl}`, {
+      page: 'pdfUnavailable',
+      retryable: true,
+      cause,
+      details: [`PDF inaccessible: ${pdfUrl}`, cause?.message].filter(Boolean),
+    });
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Internationalisation de l'interface (français et anglais)
+ *
+ * La langue est choisie, dans l'ordre, par le paramètre d'URL `lang`, la
+ * langue par défaut de l'organisation (`defaultLanguage` dans config.json),
+ * la langue du navigateur (si elle est prise en charge), puis le français.
+ * Le choix explicite de l'organisation l'emporte sur la détection.
+ *
+ * Les éléments HTML sont traduits par attributs :
+ * - `data-i18n="clé"` remplace le contenu texte
+ * - `data-i18n-attr="attribut:clé;attribut:clé"` remplace des attributs
+ */
+
+import fr from './locales/fr.js';
+import en from './locales/en.js';
+
+/**
+ * Catalogues disponibles, indexés par code de langue
+ */
+const CATALOGS = { fr, en };
+
+/**
+ * Langues prises en charge
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Langue utilisée si aucune autre ne s'applique
+ */
+export const DEFAULT_LANGUAGE = 'fr';
+
+/**
+ * Locales utilisées pour le formatage des dates
+ */
+const LOCALES = { fr: 'fr-CA', en: 'en-CA' };
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Normalise un code de langue (ex: "en-US" → "en")
+ *
+ * @param {string} value - Le code de langue
+ * @returns {string|null} La langue prise en charge, ou null
+ */
+function normalizeLanguage(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Détermine la langue de l'interface
+ *
+ * @param {Object} sources - Les sources possibles
+ * @param {string} sources.param - Le paramètre d'URL `lang` (optionnel)
+ * @param {string[]} sources.navigatorLanguages - Les langues du navigateur (optionnel)
+ * @param {string} sources.orgDefault - La langue par défaut de l'organisation (optionnel)
+ * @returns {string} La langue retenue
+ */
+export function resolveLanguage({ param, navigatorLanguages = [], orgDefault } = {}) {
+  const fromNavigator = navigatorLanguages.map(normalizeLanguage).find(Boolean);
+  return normalizeLanguage(param) || normalizeLanguage(orgDefault) || fromNavigator || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Détermine la langue de la page courante (URL et navigateur)
+ *
+ * @param {string} orgDefault - La langue par défaut de l'organisation (optionnel)
+ * @returns {string} La langue retenue
+ */
+export function detectLanguage(orgDefault) {
+  return resolveLanguage({
+    param: new URLSearchParams(window.location.search).get('lang'),
+    navigatorLanguages: navigator.languages?.length ? [...navigator.languages] : [navigator.language],
+    orgDefault,
+  });
+}
+
+/**
+ * Change la langue courante
+ *
+ * @param {string} language - Le code de langue
+ */
+export function setLanguage(language) {
+  currentLanguage = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Retourne la langue courante
+ *
+ * @returns {string} Le code de langue (ex: "fr")
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Retourne la locale de formatage de la langue courante
+ *
+ * @returns {string} La locale (ex: "fr-CA")
+ */
+export function getLocale() {
+  return LOCALES[currentLanguage];
+}
+
+/**
+ * Traduit une clé dans la langue courante
+ *
+ * @param {string} key - La clé du catalogue
+ * @param {Object} vars - Les valeurs des variables `{nom}` (optionnel)
+ * @param {string} language - La langue à utiliser (défaut: langue courante)
+ * @returns {string} Le texte traduit (la clé si elle est introuvable)
+ */
+export function t(key, vars = {}, language = currentLanguage) {
+  const text = CATALOGS[language]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+/**
+ * Traduit les éléments marqués par `data-i18n` et `data-i18n-attr`
+ *
+ * @param {ParentNode} root - L'élément racine (défaut: document)
+ */
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      if (attribute && key) {
+        element.setAttribute(attribute, t(key));
+      }
+    });
+  });
+
+  document.documentElement.lang = currentLanguage;
+}
+
+/**
+ * Configure le bouton de changement de langue
+ *
+ * Le bouton recharge la page avec le paramètre `lang` de l'autre langue.
+ *
+ * @param {HTMLElement} button - Le bouton
+ */
+export function initializeLanguageToggle(button) {
+  const otherLanguage = SUPPORTED_LANGUAGES.find(language => language !== currentLanguage);
+
+  button.textContent = t('language.switch');
+  button.setAttribute('aria-label', t('language.switchLabel'));
+  button.setAttribute('lang', otherLanguage);
+  button.classList.remove('hidden');
+
+  button.addEventListener('click', () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('lang', otherLanguage);
+    window.location.replace(url.toString());
+  });
+}
+
+/**
+ * Formate le mois d'émission en toutes lettres
+ *
+ * @param {string} mois - Le mois (1 à 12)
+ * @returns {string} Le nom du mois (ex: "décembre"), ou la valeur d'origine
+ */
+export function formatMonthName(mois) {
+  const month = parseInt(mois, 10);
+  if (!month || month < 1 || month > 12) {
+    return mois || '';
+  }
+  return new Intl.DateTimeFormat(getLocale(), { month: 'long' }).format(new Date(2000, month - 1, 1));
+}
+
+/**
+ * Formate la date d'émission à partir du mois et de l'année
+ *
+ * @param {string} mois - Le mois d'émission (1 à 12, optionnel)
+ * @param {string} annee - L'année d'émission (optionnel)
+ * @returns {string} La date formatée (ex: "décembre 2025"), ou une chaîne vide
+ */
+export function formatMonthYear(mois, annee) {
+  if (!annee) {
+    return '';
+  }
+  const month = parseInt(mois, 10);
+  if (!month || month < 1 || month > 12) {
+    return annee;
+  }
+  return new Intl.DateTimeFormat(getLocale(), { month: 'long', year: 'numeric' })
+    .format(new Date(parseInt(annee, 10), month - 1, 1));
+}
+
+/**
+ * Formate une date au format YYYY-MM-DD
+ *
+ * @param {string} date - La date
+ * @returns {string} La date formatée (ex: "3 novembre 2025"), ou la valeur d'origine
+ */
+export function formatDate(date) {
+  const [year, month, day] = String(date || '').split('-').map(part => parseInt(part, 10));
+  if (!year || !month || !day) {
+    return date || '';
+  }
+  return new Intl.DateTimeFormat(getLocale(), { day: 'numeric', month: 'long', year: 'numeric' })
+    .format(new Date(year, month - 1, day));
+}
+
+/**
+ * Formate un horodatage (date et heure)
+ *
+ * @param {number} timestamp - L'horodatage en millisecondes
+ * @returns {string} La date et l'heure formatées (ex: "3 novembre 2025 à 14 h 05")
+ */
+export function formatDateTime(timestamp) {
+  return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'long', timeStyle: 'short' }).format(new Date(timestamp));
+}
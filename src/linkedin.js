@@ -1,3 +1,5 @@
+import { getDefaultMessageTemplates, DEFAULT_TEMPLATE_ID, renderMessageTemplate } from './messageTemplates.js';
+
 /**
  * Helper pour construire l'URL LinkedIn "Add to profile" pour les certifications
  * 
@@ -6,15 +8,21 @@
  * utilise la structure standard avec les paramètres de query string.
  * 
  * @param {Object} params - Les paramètres de la certification
- * @param {string} params.organizationName - Le nom de l'organisation LinkedIn
+ * @param {string} params.organizationId - L'identifiant de la page LinkedIn de l'organisation (optionnel)
+ * @param {string} params.organizationName - Le nom de l'organisation (utilisé sans organizationId)
  * @param {string} params.formation - Le nom de la formation/certification
  * @param {string} params.certId - L'identifiant unique du certificat
  * @param {string} params.annee - L'année d'émission
  * @param {string} params.mois - Le mois d'émission (format: "01" à "12")
+ * @param {string} params.anneeExpiration - L'année d'expiration (optionnel)
+ * @param {string} params.moisExpiration - Le mois d'expiration (optionnel)
  * @param {string} params.pdfUrl - L'URL du PDF du diplôme
+ * @param {string} params.verificationUrl - L'URL de la page de vérification (prioritaire sur pdfUrl)
  * @returns {string} L'URL complète pour ajouter la certification au profil LinkedIn
  */
-export function buildLinkedInAddToProfileUrl({ organizationName, formation, certId, annee, mois, pdfUrl }) {
+export function buildLinkedInAddToProfileUrl({
+  organizationId, organizationName, formation, certId, annee, mois, anneeExpiration, moisExpiration, pdfUrl, verificationUrl,
+}) {
   // LinkedIn utilise généralement cette structure pour ajouter des certifications
   // L'URL peut nécessiter que l'utilisateur soit connecté et redirigé vers le formulaire
   const baseUrl = 'https://www.linkedin.com/profile/add';
@@ -22,7 +30,11 @@ export function buildLinkedInAddToProfileUrl({ organizationName, formation, cert
   const params = new URLSearchParams();
   
   // Paramètres obligatoires pour les certifications LinkedIn
-  if (organizationName) {
+  // L'identifiant relie la certification à la page de l'organisation; le nom
+  // seul n'est pas rapproché d'une page et laisse le champ à remplir
+  if (organizationId) {
+    params.append('organizationId', organizationId);
+  } else if (organizationName) {
     params.append('organizationName', organizationName);
   }
   
@@ -44,8 +56,18 @@ export function buildLinkedInAddToProfileUrl({ organizationName, formation, cert
     params.append('issueMonth', moisFormate);
   }
   
-  if (pdfUrl) {
-    params.append('certUrl', pdfUrl);
+  // Date d'expiration des certifications à durée limitée
+  if (anneeExpiration) {
+    params.append('expirationYear', anneeExpiration);
+  }
+  
+  if (anneeExpiration && moisExpiration) {
+    params.append('expirationMonth', moisExpiration.padStart(2, '0'));
+  }
+  
+  // Pointer vers la page de vérification plutôt que vers le PDF brut
+  if (verificationUrl || pdfUrl) {
+    params.append('certUrl', verificationUrl || pdfUrl);
   }
   
   // Ajouter le type de tâche pour indiquer qu'il s'agit d'une certification
@@ -55,16 +77,99 @@ export function buildLinkedInAddToProfileUrl({ organizationName, formation, cert
 }
 
 /**
- * Génère le message par défaut pour le partage LinkedIn
+ * Génère le message par défaut pour le partage LinkedIn (dans la langue courante)
  * 
  * @param {string} formation - Le nom de la formation
  * @param {string} organisationName - Le nom de l'organisation
  * @returns {string} Le message par défaut (sans l'URL du PDF)
  */
 export function getDefaultLinkedInMessage(formation, organisationName) {
-  return `Félicitations à moi! J'ai complété la formation « ${formation} » 🎓
+  const template = getDefaultMessageTemplates().find(({ id }) => id === DEFAULT_TEMPLATE_ID);
+  return renderMessageTemplate(template.text, {
+    formation,
+    organizationName: organisationName,
+    mention: organisationName,
+    hashtags: '',
+  });
+}
+
+/**
+ * Construit le texte publié sur LinkedIn : le message suivi du lien
+ * 
+ * @param {Object} params - Les paramètres du message
+ * @param {string} params.message - Le message personnalisé à partager
+ * @param {string} params.linkUrl - L'URL à ajouter à la fin du message (optionnel)
+ * @returns {string} Le texte de la publication
+ */
+export function buildLinkedInPostText({ message, linkUrl }) {
+  return linkUrl ? `${message}\n\n${linkUrl}` : message;
+}
+
+/**
+ * Règles de décompte d'une publication LinkedIn
+ * 
+ * - un caractère visible compte pour 1, lettres accentuées comprises
+ *   (même décomposées en lettre et accent);
+ * - un emoji compte pour `emoji`, séquences composées comprises (drapeaux,
+ *   familles, teintes de peau, touches);
+ * - un saut de ligne ("\n", "\r\n" ou "\r") compte pour `lineBreak`;
+ * - un lien compte pour sa longueur complète : LinkedIn ne le raccourcit
+ *   pas dans le texte publié.
+ */
+export const LINKEDIN_COUNTING_RULES = {
+  emoji: 2,
+  lineBreak: 1,
+};
+
+const LINK_PATTERN = /https?:\/\/\S+/g;
+const EMOJI_PATTERN = /\p{Emoji_Presentation}|\p{Regional_Indicator}|\uFE0F|\u20E3/u;
+const LINE_BREAK_PATTERN = /^(\r\n|\n|\r)$/;
 
-Merci à ${organisationName} pour cette expérience enrichissante.`;
+/**
+ * Découpe un texte en caractères visibles (graphèmes)
+ * 
+ * @param {string} text - Le texte
+ * @returns {string[]} Les graphèmes (points de code si Intl.Segmenter est indisponible)
+ */
+function splitGraphemes(text) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+    return Array.from(text);
+  }
+  return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), ({ segment }) => segment);
+}
+
+/**
+ * Compte un texte sans lien selon les règles de LinkedIn
+ * 
+ * @param {string} text - Le texte
+ * @returns {number} Le nombre de caractères
+ */
+function countPlainText(text) {
+  return splitGraphemes(text).reduce((count, grapheme) => {
+    if (LINE_BREAK_PATTERN.test(grapheme)) {
+      return count + LINKEDIN_COUNTING_RULES.lineBreak;
+    }
+    return count + (EMOJI_PATTERN.test(grapheme) ? LINKEDIN_COUNTING_RULES.emoji : 1);
+  }, 0);
+}
+
+/**
+ * Compte les caractères d'un texte pour la limite de LinkedIn
+ * 
+ * Applique LINKEDIN_COUNTING_RULES : les liens sont comptés à part, pour
+ * leur longueur complète, et le reste du texte graphème par graphème.
+ * 
+ * @param {string} text - Le texte
+ * @returns {number} Le nombre de caractères
+ */
+export function countLinkedInCharacters(text) {
+  let count = 0;
+  let lastIndex = 0;
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    count += countPlainText(text.slice(lastIndex, match.index)) + match[0].length;
+    lastIndex = match.index + match[0].length;
+  }
+  return count + countPlainText(text.slice(lastIndex));
 }
 
 /**
@@ -72,16 +177,13 @@ Merci à ${organisationName} pour cette expérience enrichissante.`;
  * 
  * @param {Object} params - Les paramètres du message
  * @param {string} params.message - Le message personnalisé à partager
- * @param {string} params.pdfUrl - L'URL du PDF à ajouter au message (optionnel)
+ * @param {string} params.linkUrl - L'URL à ajouter à la fin du message (optionnel),
+ *   par exemple l'image de l'organisation ou la page de vérification
  * @returns {string} L'URL complète pour partager sur LinkedIn
  */
-export function buildLinkedInShareUrl({ message, pdfUrl }) {
-  // Ajouter l'URL du PDF au message si fournie
-  let finalMessage = message;
-  if (pdfUrl) {
-    // finalMessage = `${message}\n\n${pdfUrl}\n\nhttps://raw.githubusercontent.com/grindghost/partage-attestation-linkedin/refs/heads/main/src/assets/certificat.png`;
-    finalMessage = `${message}\n\nhttps://www.cas.ulaval.ca/wp-content/uploads/2023/04/diplome-asc.jpg`;
-  }
+export function buildLinkedInShareUrl({ message, linkUrl }) {
+  // Ajouter le lien au message si fourni
+  const finalMessage = buildLinkedInPostText({ message, linkUrl });
   
   // Encoder le texte pour l'URL
   const encodedText = encodeURIComponent(finalMessage);
@@ -89,4 +191,3 @@ export function buildLinkedInShareUrl({ message, pdfUrl }) {
   // Retourner l'URL de partage LinkedIn
   return `https://www.linkedin.com/feed/?shareActive=true&text=${encodedText}`;
 }
-
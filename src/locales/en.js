@@ -0,0 +1,207 @@
+/**
+ * Catalogue des textes de l'interface en anglais
+ */
+export default {
+  'loader.text': 'Loading...',
+  'language.switch': 'Français',
+  'language.switchLabel': 'Afficher la page en français',
+
+  'page.title': 'Certificate Sharing',
+  'header.title': 'Share your achievement on LinkedIn',
+  'header.titleCompleted': 'Your certificate',
+
+  'title.greeting': 'Hello {prenom}!',
+  'title.default': 'Share your achievement on LinkedIn',
+  'title.subtitle': 'Follow the steps below to share your certificate on LinkedIn',
+  'title.viewDiploma': 'View my certificate',
+
+  'preview.certIconAlt': 'Certificate',
+  'preview.imageAlt': 'Certificate preview',
+  'preview.openPdf': 'Open the PDF in a new tab',
+
+  'pdf.prev': 'Previous page',
+  'pdf.next': 'Next page',
+  'pdf.zoomOut': 'Zoom out',
+  'pdf.zoomIn': 'Zoom in',
+  'pdf.fitWidth': 'Fit to width',
+  'pdf.fitWidthShort': 'Fit',
+  'pdf.page': 'Page {page}',
+
+  'export.menu': 'Download image',
+  'export.format': 'Format',
+  'export.resolution': 'Resolution',
+  'export.dpi.96': 'Screen (96 dpi)',
+  'export.dpi.150': 'Standard (150 dpi)',
+  'export.dpi.300': 'High resolution (300 dpi)',
+  'export.download': 'Download',
+  'export.copy': 'Copy image',
+  'export.print': 'Print',
+  'export.rendering': 'Preparing the image...',
+  'export.copied': 'Image copied',
+  'export.failed': 'The image could not be created',
+
+  'fallback.error': 'The certificate preview could not be generated.',
+  'fallback.openLink': 'Click here to open it in a new tab',
+  'fallback.mainThread': 'The preview is displayed in compatibility mode and may be slower to appear.',
+
+  'step1.title': 'Add the certification to your profile',
+  'step1.description': 'This button opens LinkedIn, where you can add this certification to your profile. You will need to confirm the addition in LinkedIn.',
+  'step1.info': 'Remember to enter the organization name in the LinkedIn form, as this field will not be filled in automatically.',
+  'step1.button': 'Add to LinkedIn profile',
+
+  'step2.title': 'Share your certificate in a post',
+  'step2.description': 'Customize your message below, then click the button to share your achievement on LinkedIn.',
+  'step2.messageLabel': 'Your message',
+  'step2.presetLabel': 'Message style',
+  'step2.reset': 'Reset',
+  'step2.placeholder': 'Your message...',
+  'step2.charCount': '{current} / {max} characters (link included)',
+  'step2.button': 'Create a LinkedIn post',
+  'step2.lint.empty': 'The message is empty: only the link will be posted.',
+  'step2.lint.tooLong': 'The message is {excess} characters over the LinkedIn limit.',
+  'step2.lint.linkOverflow': 'The link added at the end ({link} characters) will push the post {excess} characters over the limit: shorten the message.',
+  'step2.lint.placeholder': 'Unreplaced variables: {placeholders}. Replace them with your own text.',
+  'step2.lint.brokenPlaceholder': 'A stray brace remains in the message: a variable may be incomplete.',
+  'step2.lint.hashtags': '{count} hashtags: LinkedIn recommends using at most {max}.',
+  'step2.preview.title': 'Post preview',
+  'step2.preview.author': 'You',
+  'step2.preview.more': '… see more',
+  'step2.preview.less': 'See less',
+
+  'shareImage.text': 'Attach this image to your post:',
+  'shareImage.alt': 'Share image of your certificate',
+  'shareImage.download': 'Download image',
+  'shareImage.copy': 'Copy image',
+  'shareImage.copied': 'Image copied!',
+  'shareImage.copyFailed': 'Copy failed, please download the image.',
+  'shareImage.caption': 'Certificate of achievement',
+
+  'shareTargets.title': 'Also share on:',
+  'shareTargets.facebook': 'Facebook',
+  'shareTargets.x': 'X',
+  'shareTargets.whatsapp': 'WhatsApp',
+  'shareTargets.email': 'Email',
+  'shareTargets.native': 'Other apps…',
+  'shareTargets.emailSubject': 'My certificate: {formation}',
+  'shareTargets.tooLong': 'Message too long for {network} ({current} / {max} characters).',
+  'shareTargets.messageCopied': 'Message copied: paste it into your {network} post.',
+  'shareTargets.failed': 'Sharing failed, try another network.',
+
+  'step3.title': 'Keep a digital badge',
+  'step3.description': 'Download your certificate in the Open Badges 3.0 format, supported by badge wallets and other platforms. The PNG image contains the embedded badge.',
+  'step3.downloadJson': 'Download badge (JSON)',
+  'step3.downloadPng': 'Download image (PNG)',
+
+  'badge.description': 'Certificate of achievement for the “{formation}” program issued by {organizationName}.',
+  'badge.criteria': 'Complete the “{formation}” program.',
+
+  'offline.notice': 'You are offline: the certificate is shown from the copy kept on this device.',
+  'offline.queued': 'The LinkedIn actions you requested will be offered as soon as you are back online.',
+  'offline.backOnline': 'You are back online. Resume the pending LinkedIn actions:',
+  'offline.resume': 'Continue: {action}',
+
+  'completed.title': 'Your certificate has been shared',
+  'completed.step1.done': 'Added to your LinkedIn profile on {date}',
+  'completed.step1.doneUndated': 'Added to your LinkedIn profile',
+  'completed.step1.pending': 'Not yet added to your LinkedIn profile',
+  'completed.step2.done': 'LinkedIn post created on {date}',
+  'completed.step2.doneUndated': 'LinkedIn post created',
+  'completed.step2.pending': 'No LinkedIn post created',
+  'completed.download': 'Download the certificate (PDF)',
+  'completed.redoStep1': 'Add to profile again',
+  'completed.redoStep2': 'Create a new post',
+
+  'revoked.title': 'Certificate revoked',
+  'revoked.description': 'This certificate has been withdrawn by the organization and can no longer be shared on LinkedIn.',
+  'revoked.date': 'Revoked on {date}.',
+  'revoked.reason': 'Reason: {reason}',
+
+  'footer.text': 'This page never posts anything to your profile automatically. Actions must always be confirmed in LinkedIn.',
+  'footer.logoAlt': 'FSA UL',
+
+  'privacy.bannerLabel': 'Privacy',
+  'privacy.storage': 'This page keeps the progress of your sharing steps (completed steps and their date) on this device for {days} days, to remind you on your next visit, along with a copy of your certificate and its link to show it offline.',
+  'privacy.analytics': 'It also anonymously measures how the page is used (views, clicks on the steps), without sending your name or your certificate.',
+  'privacy.accept': 'Accept',
+  'privacy.decline': 'Decline',
+  'privacy.forget': 'Forget my data on this device',
+  'privacy.forgotten': 'This page\'s data has been erased from this device.',
+  'privacy.settings': 'Privacy',
+
+  'errorPage.brokenLink.title': 'Incomplete or invalid link',
+  'errorPage.brokenLink.description': 'The link you followed is incomplete or has been modified. Make sure you copied the entire link from the email you received.',
+  'errorPage.expiredLink.title': 'Expired link',
+  'errorPage.expiredLink.description': 'This sharing link is no longer valid. Ask the organization that issued your certificate for a new link.',
+  'errorPage.unknownOrganization.title': 'Unknown organization',
+  'errorPage.unknownOrganization.description': 'This link does not match any known organization. Make sure you copied the entire link from the email you received.',
+  'errorPage.pdfUnavailable.title': 'Certificate not found',
+  'errorPage.pdfUnavailable.description': 'Your certificate file cannot be found or is unavailable at the moment. Please try again in a few minutes.',
+  'errorPage.unavailable.title': 'Page unavailable',
+  'errorPage.unavailable.description': 'The page could not be loaded. Check your Internet connection and try again in a few moments.',
+  'errorPage.contact': 'Need help? Contact {organizationName}:',
+  'errorPage.contactUnknown': 'If the problem persists, contact the organization that sent you the link.',
+  'errorPage.email': 'Email:',
+  'errorPage.website': 'Website:',
+  'errorPage.phone': 'Phone:',
+  'errorPage.retry': 'Try again',
+  'errorPage.resume': 'Reopen my last certificate',
+  'errorPage.debugTitle': 'Technical details',
+
+  'verify.pageTitle': 'Certificate verification',
+  'verify.title': 'Certificate verification',
+  'verify.subtitle': 'This page confirms the authenticity of a certificate issued by the organization.',
+  'verify.holder': 'Holder',
+  'verify.formation': 'Program',
+  'verify.issueDate': 'Issue date',
+  'verify.organization': 'Organization',
+  'verify.certId': 'Identifier',
+  'verify.status.valid': 'Valid certificate',
+  'verify.status.revoked': 'Revoked certificate',
+  'verify.status.unknown': 'Unknown certificate',
+  'verify.status.invalid': 'Invalid verification link',
+  'verify.revokedOn': 'Revoked on {date}',
+
+  'builder.pageTitle': 'Link builder',
+  'builder.title': 'Link builder',
+  'builder.subtitle': 'Compose a participant\'s link, check it and preview their sharing page.',
+  'builder.unavailable': 'Unable to load the organizations configuration (config.json).',
+  'builder.fields.baseUrl': 'Application address',
+  'builder.fields.org': 'Organization',
+  'builder.fields.prenom': 'First name',
+  'builder.fields.formation': 'Program',
+  'builder.fields.issueDate': 'Issued (month / year)',
+  'builder.fields.year': 'Year',
+  'builder.fields.yearPlaceholder': 'YYYY',
+  'builder.fields.certId': 'Certificate ID',
+  'builder.fields.pdf': 'PDF URL',
+  'builder.fields.signingKey': 'Private signing key (.pem)',
+  'builder.fields.signingKeyHint': 'This organization signs its links. The key is only read by this browser and never sent.',
+  'builder.baseUrl.missing': 'Enter the address of the deployed application (e.g. https://my-app.vercel.app): the generated links point to it.',
+  'builder.baseUrl.invalid': 'The application address must be a valid http(s) URL.',
+  'builder.signing.missing': 'This organization signs its links: load its private key (npm run keygen) to generate the link.',
+  'builder.signing.invalid': 'The loaded private key is unreadable or does not match the organization\'s verificationKey.',
+  'builder.results.title': 'Generated links',
+  'builder.results.signed': 'Link signed with the organization\'s private key.',
+  'builder.results.participantUrl': 'Participant page',
+  'builder.results.addToProfileUrl': 'Step 1: Add to profile',
+  'builder.results.shareUrl': 'Step 2: Post (default message)',
+  'builder.results.copy': 'Copy',
+  'builder.results.copied': 'Copied!',
+  'builder.results.qrLabel': 'QR code of the participant link',
+  'builder.results.qrDownload': 'Download the QR code',
+  'builder.preview.title': 'Participant page preview',
+  'builder.preview.open': 'Open in a new tab',
+
+  'templates.formal.label': 'Formal',
+  'templates.formal.text': `I am pleased to announce that I have completed the “{formation}” program offered by {organizationName}.
+
+{hashtags}`,
+  'templates.enthusiastic.label': 'Enthusiastic',
+  'templates.enthusiastic.text': `Congratulations to me! I completed the “{formation}” program 🎓
+
+Thank you to {mention} for this enriching experience.
+
+{hashtags}`,
+  'templates.short.label': 'Short',
+  'templates.short.text': '“{formation}” program completed! 🎓 {hashtags}',
+};
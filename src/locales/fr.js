@@ -0,0 +1,207 @@
+/**
+ * Catalogue des textes de l'interface en français
+ */
+export default {
+  'loader.text': 'Chargement...',
+  'language.switch': 'English',
+  'language.switchLabel': 'Afficher la page en anglais',
+
+  'page.title': 'Partage de Certification',
+  'header.title': 'Partagez votre réussite sur LinkedIn',
+  'header.titleCompleted': 'Votre attestation',
+
+  'title.greeting': 'Bonjour {prenom}!',
+  'title.default': 'Partagez votre réussite sur LinkedIn',
+  'title.subtitle': 'Suivez les étapes ci-dessous pour partager votre attestation sur LinkedIn',
+  'title.viewDiploma': 'Voir mon diplôme',
+
+  'preview.certIconAlt': 'Certificat',
+  'preview.imageAlt': 'Aperçu du diplôme',
+  'preview.openPdf': 'Ouvrir le PDF dans un nouvel onglet',
+
+  'pdf.prev': 'Page précédente',
+  'pdf.next': 'Page suivante',
+  'pdf.zoomOut': 'Zoom arrière',
+  'pdf.zoomIn': 'Zoom avant',
+  'pdf.fitWidth': 'Ajuster à la largeur',
+  'pdf.fitWidthShort': 'Ajuster',
+  'pdf.page': 'Page {page}',
+
+  'export.menu': 'Télécharger l\'image',
+  'export.format': 'Format',
+  'export.resolution': 'Résolution',
+  'export.dpi.96': 'Écran (96 ppp)',
+  'export.dpi.150': 'Standard (150 ppp)',
+  'export.dpi.300': 'Haute résolution (300 ppp)',
+  'export.download': 'Télécharger',
+  'export.copy': 'Copier l\'image',
+  'export.print': 'Imprimer',
+  'export.rendering': 'Préparation de l\'image...',
+  'export.copied': 'Image copiée',
+  'export.failed': 'L\'image n\'a pas pu être créée',
+
+  'fallback.error': 'Impossible de générer l\'aperçu du diplôme.',
+  'fallback.openLink': 'Cliquez ici pour l\'ouvrir dans un nouvel onglet',
+  'fallback.mainThread': 'L\'aperçu est affiché en mode de compatibilité et peut être plus lent à s\'afficher.',
+
+  'step1.title': 'Ajoutez la certification à votre profil',
+  'step1.description': 'Ce bouton ouvrira LinkedIn où vous pourrez ajouter cette certification à votre profil. Vous devrez valider manuellement l\'ajout dans LinkedIn.',
+  'step1.info': 'N\'oubliez pas d\'entrer le nom de l\'organisation dans le formulaire LinkedIn, car ce champ ne sera pas rempli automatiquement.',
+  'step1.button': 'Ajouter au profil LinkedIn',
+
+  'step2.title': 'Partagez votre diplôme dans une publication',
+  'step2.description': 'Personnalisez votre message ci-dessous, puis cliquez sur le bouton pour partager votre réussite sur LinkedIn.',
+  'step2.messageLabel': 'Votre message',
+  'step2.presetLabel': 'Style du message',
+  'step2.reset': 'Réinitialiser',
+  'step2.placeholder': 'Votre message...',
+  'step2.charCount': '{current} / {max} caractères (lien inclus)',
+  'step2.button': 'Créer un post LinkedIn',
+  'step2.lint.empty': 'Le message est vide : seul le lien sera publié.',
+  'step2.lint.tooLong': 'Le message dépasse de {excess} caractères la limite de LinkedIn.',
+  'step2.lint.linkOverflow': 'Le lien ajouté à la fin ({link} caractères) fera dépasser la limite de {excess} caractères : raccourcissez le message.',
+  'step2.lint.placeholder': 'Variables non remplacées : {placeholders}. Remplacez-les par votre texte.',
+  'step2.lint.brokenPlaceholder': 'Une accolade isolée reste dans le message : une variable est peut-être incomplète.',
+  'step2.lint.hashtags': '{count} hashtags : LinkedIn recommande d\'en utiliser au plus {max}.',
+  'step2.preview.title': 'Aperçu de la publication',
+  'step2.preview.author': 'Vous',
+  'step2.preview.more': '… voir plus',
+  'step2.preview.less': 'Voir moins',
+
+  'shareImage.text': 'Joignez cette image à votre publication :',
+  'shareImage.alt': 'Image de partage de votre attestation',
+  'shareImage.download': 'Télécharger l\'image',
+  'shareImage.copy': 'Copier l\'image',
+  'shareImage.copied': 'Image copiée!',
+  'shareImage.copyFailed': 'Copie impossible, téléchargez l\'image.',
+  'shareImage.caption': 'Attestation de réussite',
+
+  'shareTargets.title': 'Partager aussi :',
+  'shareTargets.facebook': 'Facebook',
+  'shareTargets.x': 'X',
+  'shareTargets.whatsapp': 'WhatsApp',
+  'shareTargets.email': 'Courriel',
+  'shareTargets.native': 'Autres applications…',
+  'shareTargets.emailSubject': 'Mon attestation : {formation}',
+  'shareTargets.tooLong': 'Message trop long pour {network} ({current} / {max} caractères).',
+  'shareTargets.messageCopied': 'Message copié : collez-le dans votre publication {network}.',
+  'shareTargets.failed': 'Partage impossible, essayez un autre réseau.',
+
+  'step3.title': 'Conservez un badge numérique',
+  'step3.description': 'Téléchargez votre attestation au format Open Badges 3.0, reconnu par les portefeuilles de badges et autres plateformes. L\'image PNG contient le badge intégré.',
+  'step3.downloadJson': 'Télécharger le badge (JSON)',
+  'step3.downloadPng': 'Télécharger l\'image (PNG)',
+
+  'badge.description': 'Attestation de réussite de la formation « {formation} » délivrée par {organizationName}.',
+  'badge.criteria': 'Avoir complété la formation « {formation} ».',
+
+  'offline.notice': 'Vous êtes hors ligne : l\'attestation est affichée à partir de la copie conservée sur cet appareil.',
+  'offline.queued': 'Les actions LinkedIn demandées seront proposées dès le retour du réseau.',
+  'offline.backOnline': 'Vous êtes de nouveau en ligne. Reprenez les actions LinkedIn en attente :',
+  'offline.resume': 'Continuer : {action}',
+
+  'completed.title': 'Votre attestation a été partagée',
+  'completed.step1.done': 'Ajoutée à votre profil LinkedIn le {date}',
+  'completed.step1.doneUndated': 'Ajoutée à votre profil LinkedIn',
+  'completed.step1.pending': 'Pas encore ajoutée à votre profil LinkedIn',
+  'completed.step2.done': 'Publication LinkedIn créée le {date}',
+  'completed.step2.doneUndated': 'Publication LinkedIn créée',
+  'completed.step2.pending': 'Aucune publication LinkedIn créée',
+  'completed.download': 'Télécharger l\'attestation (PDF)',
+  'completed.redoStep1': 'Ajouter de nouveau au profil',
+  'completed.redoStep2': 'Créer une nouvelle publication',
+
+  'revoked.title': 'Attestation révoquée',
+  'revoked.description': 'Cette attestation a été retirée par l\'organisation et ne peut plus être partagée sur LinkedIn.',
+  'revoked.date': 'Révoquée le {date}.',
+  'revoked.reason': 'Motif : {reason}',
+
+  'footer.text': 'Cette page ne publie rien automatiquement sur votre profil. Les actions doivent toujours être confirmées dans LinkedIn.',
+  'footer.logoAlt': 'FSA UL',
+
+  'privacy.bannerLabel': 'Confidentialité',
+  'privacy.storage': 'Cette page conserve sur cet appareil l\'état de vos étapes de partage (étapes terminées et leur date) pendant {days} jours, pour vous les rappeler lors de votre prochaine visite, ainsi qu\'une copie de votre attestation et de son lien pour l\'afficher hors ligne.',
+  'privacy.analytics': 'Elle mesure aussi de façon anonyme l\'utilisation de la page (affichage, clics sur les étapes), sans transmettre votre nom ni votre attestation.',
+  'privacy.accept': 'Accepter',
+  'privacy.decline': 'Refuser',
+  'privacy.forget': 'Oublier mes données sur cet appareil',
+  'privacy.forgotten': 'Les données de cette page ont été effacées de cet appareil.',
+  'privacy.settings': 'Confidentialité',
+
+  'errorPage.brokenLink.title': 'Lien incomplet ou invalide',
+  'errorPage.brokenLink.description': 'Le lien que vous avez suivi est incomplet ou a été modifié. Vérifiez que vous avez copié le lien en entier à partir du courriel reçu.',
+  'errorPage.expiredLink.title': 'Lien expiré',
+  'errorPage.expiredLink.description': 'Ce lien de partage n\'est plus valide. Demandez un nouveau lien à l\'organisation qui a émis votre attestation.',
+  'errorPage.unknownOrganization.title': 'Organisation inconnue',
+  'errorPage.unknownOrganization.description': 'Ce lien ne correspond à aucune organisation connue. Vérifiez que vous avez copié le lien en entier à partir du courriel reçu.',
+  'errorPage.pdfUnavailable.title': 'Attestation introuvable',
+  'errorPage.pdfUnavailable.description': 'Le fichier de votre attestation est introuvable ou inaccessible pour le moment. Réessayez dans quelques minutes.',
+  'errorPage.unavailable.title': 'Page indisponible',
+  'errorPage.unavailable.description': 'La page n\'a pas pu être chargée. Vérifiez votre connexion Internet et réessayez dans quelques instants.',
+  'errorPage.contact': 'Besoin d\'aide? Contactez {organizationName} :',
+  'errorPage.contactUnknown': 'Si le problème persiste, contactez l\'organisation qui vous a envoyé le lien.',
+  'errorPage.email': 'Courriel :',
+  'errorPage.website': 'Site web :',
+  'errorPage.phone': 'Téléphone :',
+  'errorPage.retry': 'Réessayer',
+  'errorPage.resume': 'Rouvrir ma dernière attestation',
+  'errorPage.debugTitle': 'Détails techniques',
+
+  'verify.pageTitle': 'Vérification d\'attestation',
+  'verify.title': 'Vérification d\'attestation',
+  'verify.subtitle': 'Cette page confirme l\'authenticité d\'une attestation émise par l\'organisation.',
+  'verify.holder': 'Titulaire',
+  'verify.formation': 'Formation',
+  'verify.issueDate': 'Date d\'émission',
+  'verify.organization': 'Organisation',
+  'verify.certId': 'Identifiant',
+  'verify.status.valid': 'Attestation valide',
+  'verify.status.revoked': 'Attestation révoquée',
+  'verify.status.unknown': 'Attestation inconnue',
+  'verify.status.invalid': 'Lien de vérification invalide',
+  'verify.revokedOn': 'Révoquée le {date}',
+
+  'builder.pageTitle': 'Générateur de liens',
+  'builder.title': 'Générateur de liens',
+  'builder.subtitle': 'Composez le lien d\'un participant, vérifiez-le et prévisualisez sa page de partage.',
+  'builder.unavailable': 'Impossible de charger la configuration des organisations (config.json).',
+  'builder.fields.baseUrl': 'Adresse de l\'application',
+  'builder.fields.org': 'Organisation',
+  'builder.fields.prenom': 'Prénom',
+  'builder.fields.formation': 'Formation',
+  'builder.fields.issueDate': 'Émission (mois / année)',
+  'builder.fields.year': 'Année',
+  'builder.fields.yearPlaceholder': 'AAAA',
+  'builder.fields.certId': 'Identifiant du certificat',
+  'builder.fields.pdf': 'URL du PDF',
+  'builder.fields.signingKey': 'Clé privée de signature (.pem)',
+  'builder.fields.signingKeyHint': 'Cette organisation signe ses liens. La clé n\'est lue que par ce navigateur et n\'est jamais envoyée.',
+  'builder.baseUrl.missing': 'Indiquez l\'adresse de l\'application déployée (ex: https://mon-app.vercel.app) : les liens générés y pointent.',
+  'builder.baseUrl.invalid': 'L\'adresse de l\'application doit être une URL http(s) valide.',
+  'builder.signing.missing': 'Cette organisation signe ses liens : chargez sa clé privée (npm run keygen) pour générer le lien.',
+  'builder.signing.invalid': 'La clé privée chargée est illisible ou ne correspond pas à la verificationKey de l\'organisation.',
+  'builder.results.title': 'Liens générés',
+  'builder.results.signed': 'Lien signé avec la clé privée de l\'organisation.',
+  'builder.results.participantUrl': 'Page du participant',
+  'builder.results.addToProfileUrl': 'Étape 1 : Ajouter au profil',
+  'builder.results.shareUrl': 'Étape 2 : Publication (message par défaut)',
+  'builder.results.copy': 'Copier',
+  'builder.results.copied': 'Copié!',
+  'builder.results.qrLabel': 'Code QR du lien du participant',
+  'builder.results.qrDownload': 'Télécharger le code QR',
+  'builder.preview.title': 'Aperçu de la page du participant',
+  'builder.preview.open': 'Ouvrir dans un nouvel onglet',
+
+  'templates.formal.label': 'Formel',
+  'templates.formal.text': `J'ai le plaisir d'annoncer que j'ai complété la formation « {formation} » offerte par {organizationName}.
+
+{hashtags}`,
+  'templates.enthusiastic.label': 'Enthousiaste',
+  'templates.enthusiastic.text': `Félicitations à moi! J'ai complété la formation « {formation} » 🎓
+
+Merci à {mention} pour cette expérience enrichissante.
+
+{hashtags}`,
+  'templates.short.label': 'Court',
+  'templates.short.text': 'Formation « {formation} » complétée! 🎓 {hashtags}',
+};
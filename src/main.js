@@ -8,74 +8,155 @@
  * - La génération des liens LinkedIn
  */
 
-import { buildLinkedInAddToProfileUrl, buildLinkedInShareUrl, getDefaultLinkedInMessage } from './linkedin.js';
-import { renderPdfToImage, renderPdfToCanvas } from './pdfRenderer.js';
+import { buildLinkedInShareUrl } from './linkedin.js';
+import { buildAddToProfileUrl, getLinkedInOrganizationId, getShareLinkUrl } from './attestationShare.js';
+import { SHARE_TARGETS, getEnabledShareTargets, exceedsShareLimit, shareNatively } from './shareTargets.js';
+import { lintMessage, LENGTH_WARNING_MARGIN } from './messageLint.js';
+import { renderPostPreview } from './postPreview.js';
+import { resolveMessageTemplates, buildTemplateValues, renderMessageTemplate } from './messageTemplates.js';
+import { renderPdfToImage, loadPdfDocument, isMainThreadRendering, configurePdfProxy } from './pdfRenderer.js';
+import { createPdfViewer } from './pdfViewer.js';
+import { fetchConfigData, applyConfiguration } from './config.js';
+import { validateOrganizationConfig } from './configSchema.js';
+import { verifySignature } from './signature.js';
+import { findRevocation } from './revocations.js';
+import { buildOpenBadgeCredential } from './openBadge.js';
+import { bakeOpenBadgePng } from './pngBaking.js';
+import { composeShareImage, canvasToPngBlob } from './shareImage.js';
+import {
+  EXPORT_RESOLUTIONS, PRINT_RESOLUTION, renderCertificateImage, getExportFileName, canCopyImage, copyCertificateImage,
+} from './certificateExport.js';
+import { ATTESTATION_PARAMS, extractAttestationParams, getParamErrors, buildVerificationUrl } from './attestationLink.js';
+import { getShortCodeFromPath, parseShortCode, resolveShortLink } from './shortLinks.js';
+import { initializeAnalytics, setAnalyticsConsent, trackEvent } from './analytics.js';
+import {
+  registerServiceWorker, initializeOfflineActions, cacheCertificatePdf, cacheCertificatePreview, getCachedCertificatePreview,
+  rememberAttestationUrl, getRememberedAttestationUrl,
+} from './offline.js';
+import {
+  initializePrivacyBanner, cleanupCompletionState, getRetentionDays, isStorageAllowed, isPreviewMode,
+} from './privacy.js';
+import {
+  COMPLETION_STEPS, getCompletionStorageKey, readCompletionState, saveCompletedStep, getLastActivity, getCompletedViewDelay,
+} from './completionState.js';
+import {
+  AttestationError, ConfigUnavailableError, ConfigurationError, UnknownOrganizationError, InvalidLinkError, ExpiredLinkError,
+  PdfUnavailableError, ShortLinkUnavailableError,
+} from './errors.js';
+import { t, setLanguage, getLanguage, detectLanguage, applyTranslations, initializeLanguageToggle, formatDate, formatDateTime } from './i18n.js';
 
 // Variable globale pour stocker la configuration
 let appConfig = null;
 
+// Modèles de message de l'organisation (validés au chargement de la configuration)
+let messageTemplates = null;
+
+// Paramètres de la page : query string, complétée par le lien court (/c/<code>)
+let pageParams = new URLSearchParams(window.location.search);
+
+// Rendre l'application installable et consultable hors ligne
+registerServiceWorker();
+
 // Attendre que le DOM soit chargé
 document.addEventListener('DOMContentLoaded', async () => {
   // Afficher le loader
   showLoader();
   
+  // Traduire l'interface (paramètre lang ou langue du navigateur)
+  setLanguage(detectLanguage());
+  applyTranslations();
+  
   try {
+    // Résoudre le lien court en paramètres complets (les liens longs restent valides)
+    const shortCode = getShortCodeFromPath(window.location.pathname);
+    if (shortCode) {
+      await expandShortLink(shortCode);
+    }
+    
     // Charger la configuration en premier
     await loadConfiguration();
     
     // Extraire les paramètres de l'URL
-    const params = new URLSearchParams(window.location.search);
-    
-    const urlParams = {
-      pdf: params.get('pdf'),
-      prenom: params.get('prenom'),
-      mois: params.get('mois'),
-      annee: params.get('annee'),
-      orgId: params.get('orgId'),
-      formation: params.get('formation'),
-      certId: params.get('certId'),
-    };
-    
-    // Valider les paramètres obligatoires
-    const requiredParams = {
-      pdf: urlParams.pdf,
-      formation: urlParams.formation,
-      certId: urlParams.certId,
-    };
+    const urlParams = extractAttestationParams(pageParams);
     
-    const missingParams = Object.keys(requiredParams).filter(
-      key => !requiredParams[key]
-    );
+    // Mesurer l'ouverture de la page (sans données personnelles, voir analytics.js)
+    trackEvent('page_view', { formation: urlParams.formation, shortLink: Boolean(shortCode) });
     
-    // Vérifier que appConfig a été chargé correctement (org valide)
-    if (!appConfig) {
-      hideLoader();
-      displaySimpleErrorPage();
-      return;
+    // Refuser un lien dont des paramètres manquent ou sont mal formés
+    const paramErrors = getParamErrors(urlParams);
+    if (paramErrors.length > 0) {
+      throw new InvalidLinkError(paramErrors);
     }
     
-    // Afficher un message d'erreur si des paramètres manquent
-    if (missingParams.length > 0) {
-      hideLoader();
-      displaySimpleErrorPage();
-      return;
+    // Refuser un lien dont la signature est absente, invalide ou expirée
+    const { valid, reason } = await verifySignature(urlParams, appConfig.verificationKey);
+    if (reason === 'expired') {
+      throw new ExpiredLinkError(urlParams.exp);
+    }
+    if (!valid) {
+      throw new InvalidLinkError([`Signature ${reason === 'missing' ? 'manquante' : 'invalide'} (paramètre sig)`]);
     }
     
+    // Vérifier que l'attestation n'a pas été révoquée
+    const revocation = await findRevocation(urlParams.org, urlParams.certId);
+    
     // Afficher le contenu principal
     const contentElement = document.getElementById('content');
     contentElement.classList.remove('hidden');
     
+    // Charger le PDF une seule fois pour l'aperçu, les images et la copie hors ligne
+    const certificatePdf = loadPdfDocument(urlParams.pdf);
+    
+    if (revocation) {
+      initializePdfPreview(urlParams.pdf, certificatePdf)
+        .catch(error => console.error('Erreur lors de l\'aperçu de l\'attestation:', error));
+      displayCertIdBadge(urlParams.certId);
+      displayRevokedState(revocation);
+      hideLoader();
+      return;
+    }
+    
     // Personnaliser le titre avec le prénom si disponible
     personalizeTitle(urlParams.prenom);
     
-    // Initialiser le rendu du PDF
-    initializePdfPreview(urlParams.pdf);
+    // Initialiser le rendu du PDF, puis les actions de téléchargement et d'impression
+    initializePdfPreview(urlParams.pdf, certificatePdf)
+      .catch(error => {
+        // Proposer les actions même sans l'aperçu
+        console.error('Erreur lors de l\'aperçu de l\'attestation:', error);
+        return true;
+      })
+      .then(async rendered => {
+        if (rendered) {
+          initializeCertificateActions(urlParams, await certificatePdf);
+        }
+      })
+      .catch(error => console.error('Actions sur l\'attestation indisponibles:', error));
     
     // Afficher le badge certId si disponible
     displayCertIdBadge(urlParams.certId);
     
     // Générer et configurer les liens LinkedIn
-    initializeLinkedInLinks(urlParams);
+    initializeLinkedInLinks(urlParams, certificatePdf);
+    
+    // Configurer l'export Open Badges
+    initializeBadgeExport(urlParams, certificatePdf);
+    
+    // Mettre en attente les actions LinkedIn demandées hors ligne
+    initializeOfflineActions({
+      notice: document.getElementById('offline-notice'),
+      text: document.getElementById('offline-notice-text'),
+      queue: document.getElementById('offline-queue'),
+      actions: [
+        { button: document.getElementById('add-to-profile'), label: t('step1.button') },
+        { button: document.getElementById('share-on-linkedin'), label: t('step2.button') },
+      ],
+    });
+    
+    // Retenir le lien pour l'application installée (voir offline.js)
+    if (isStorageAllowed()) {
+      rememberAttestationUrl(window.location.href);
+    }
     
     // Restaurer l'état de complétion depuis localStorage
     restoreCompletionState(urlParams);
@@ -89,98 +170,116 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.error('Erreur lors de l\'initialisation:', error);
     hideLoader();
     
-    // Afficher la page d'erreur simple pour toutes les erreurs
-    displaySimpleErrorPage();
+    // Afficher la page d'erreur correspondant à la cause
+    displayErrorPage(error);
   }
 });
 
 /**
- * Charge la configuration depuis le fichier config.json
- * Le paramètre d'URL 'org' détermine quelle configuration utiliser
- * @throws {Error} Si l'organisation spécifiée n'existe pas dans la configuration
+ * Remplace les paramètres de la page par ceux d'un lien court
+ * 
+ * Les paramètres de la query string qui ne décrivent pas l'attestation
+ * (lang, debug) sont conservés.
+ * 
+ * @param {string} code - Le code du lien court
+ * @throws {AttestationError} Si le code est inconnu ou ne peut pas être résolu
  */
-async function loadConfiguration() {
-  const params = new URLSearchParams(window.location.search);
-  const orgId = params.get('org');
-  
-  // Vérifier si le paramètre org est manquant
-  if (!orgId || orgId.trim() === '') {
-    // Charger la config pour obtenir la liste des organisations disponibles
-    try {
-      const response = await fetch('/config.json');
-      if (response.ok) {
-        const configData = await response.json();
-        const availableOrgs = Object.keys(configData).join(', ');
-        throw new Error(`CONFIG_NOT_FOUND::${availableOrgs}`);
-      }
-    } catch (error) {
-      // Si c'est déjà notre erreur, la relancer
-      if (error.message && error.message.startsWith('CONFIG_NOT_FOUND:')) {
-        throw error;
-      }
-    }
-    // Si on ne peut pas charger la config, lancer quand même l'erreur
-    throw new Error('CONFIG_NOT_FOUND::');
+async function expandShortLink(code) {
+  if (!parseShortCode(code)) {
+    throw new InvalidLinkError([`Lien court mal formé: ${code}`]);
   }
   
+  let params;
   try {
-    const response = await fetch('/config.json');
-    if (!response.ok) {
-      throw new Error(`Erreur de chargement de la configuration: ${response.status}`);
-    }
-    
-    const configData = await response.json();
-    
-    if (!configData[orgId]) {
-      // Lancer une erreur si l'organisation n'existe pas
-      const availableOrgs = Object.keys(configData).join(', ');
-      throw new Error(`CONFIG_NOT_FOUND:${orgId}:${availableOrgs}`);
-    }
-    
-    appConfig = configData[orgId];
-    
-    // Appliquer la configuration
-    applyConfiguration(appConfig);
+    params = await resolveShortLink(code);
   } catch (error) {
-    // Si c'est une erreur de configuration manquante, la relancer
-    if (error.message && error.message.startsWith('CONFIG_NOT_FOUND:')) {
-      throw error;
-    }
-    // Pour les autres erreurs (réseau, etc.), lancer une erreur générique
-    // pour afficher la page d'erreur simple
-    throw new Error('CONFIG_NOT_FOUND::');
+    throw new ShortLinkUnavailableError(code, error);
   }
+  
+  if (!params) {
+    throw new InvalidLinkError([`Lien court inconnu: ${code}`]);
+  }
+  
+  const expanded = new URLSearchParams(params);
+  pageParams.forEach((value, key) => {
+    if (!ATTESTATION_PARAMS.includes(key)) {
+      expanded.set(key, value);
+    }
+  });
+  pageParams = expanded;
 }
 
 /**
- * Applique la configuration chargée à l'interface
- * 
- * @param {Object} config - La configuration à appliquer
+ * Charge la configuration depuis le fichier config.json
+ * Le paramètre d'URL 'org' détermine quelle configuration utiliser
+ * @throws {AttestationError} Si la configuration est indisponible, ou si l'organisation est absente, inconnue ou invalide
  */
-function applyConfiguration(config) {
-  // Mettre à jour le favicon
-  const favicon = document.getElementById('favicon');
-  if (config.favicon && favicon) {
-    favicon.href = `/${config.favicon}`;
+async function loadConfiguration() {
+  const orgId = (pageParams.get('org') || '').trim();
+  
+  let configData;
+  try {
+    configData = await fetchConfigData();
+  } catch (error) {
+    throw new ConfigUnavailableError(error);
+  }
+  
+  // Vérifier si le paramètre org est manquant
+  if (!orgId) {
+    throw new InvalidLinkError(['Paramètre obligatoire manquant: org']);
   }
   
-  // Mettre à jour le logo dans le header
-  const headerLogo = document.getElementById('header-logo');
-  if (config.logo && headerLogo) {
-    headerLogo.src = `/${config.logo}`;
+  if (!configData[orgId]) {
+    throw new UnknownOrganizationError(orgId, Object.keys(configData));
   }
   
-  // Mettre à jour le lien du header avec l'URL du site de l'organisation
-  const headerLink = document.getElementById('header-link');
-  if (config.websiteUrl && headerLink) {
-    headerLink.href = config.websiteUrl;
+  // Refuser une configuration invalide plutôt que d'afficher des valeurs par défaut
+  const configErrors = validateOrganizationConfig(configData[orgId], orgId);
+  if (configErrors.length > 0) {
+    throw new ConfigurationError(orgId, configErrors);
+  }
+  
+  appConfig = configData[orgId];
+  
+  // Retraduire si la langue par défaut de l'organisation s'applique
+  setLanguage(detectLanguage(appConfig.defaultLanguage));
+  applyTranslations();
+  initializeLanguageToggle(document.getElementById('language-toggle'));
+  
+  // Valider les modèles de message de l'organisation
+  messageTemplates = resolveMessageTemplates(appConfig);
+  if (messageTemplates.errors.length > 0) {
+    console.warn(`Modèles de message invalides pour ${orgId}:`, messageTemplates.errors);
   }
   
-  // Mettre à jour le titre de la page
-  const pageTitle = document.getElementById('page-title');
-  if (config.organizationName && pageTitle) {
-    pageTitle.textContent = `Partage de Certification - ${config.organizationName}`;
+  // Appliquer la configuration
+  applyConfiguration(appConfig);
+  
+  // Recharger par le proxy les PDF des hôtes déclarés par l'organisation (CORS)
+  configurePdfProxy(orgId, appConfig.pdfProxy?.allowedHosts);
+  
+  // Aperçu du générateur de liens : ni mesure d'audience ni données conservées
+  if (isPreviewMode()) {
+    setAnalyticsConsent(false);
+    return;
   }
+  
+  // Activer la mesure d'audience choisie par l'organisation
+  initializeAnalytics(appConfig.analytics, { org: orgId, language: getLanguage() });
+  
+  // Supprimer les états de complétion expirés (durée de conservation de chaque organisation)
+  cleanupCompletionState(org => getRetentionDays(configData[org] || appConfig));
+  
+  // Demander le consentement (conservation locale et mesure d'audience)
+  initializePrivacyBanner(appConfig, {
+    banner: document.getElementById('privacy-banner'),
+    text: document.getElementById('privacy-banner-text'),
+    acceptButton: document.getElementById('privacy-accept'),
+    declineButton: document.getElementById('privacy-decline'),
+    forgetButton: document.getElementById('privacy-forget'),
+    status: document.getElementById('privacy-status'),
+    settingsButton: document.getElementById('privacy-settings'),
+  });
 }
 
 /**
@@ -256,56 +355,120 @@ function removeHeaderLink() {
 }
 
 /**
- * Affiche une page d'erreur simple (fond gris, message au centre, pas de header)
- * Utilisée quand des paramètres manquent ou que l'organisation est invalide
+ * Indique si le mode débogage est activé (paramètre d'URL debug=1)
+ * 
+ * @returns {boolean} true si les détails techniques doivent être affichés
  */
-function displaySimpleErrorPage() {
-  // Masquer tous les éléments existants
-  const header = document.querySelector('header');
-  const main = document.querySelector('main');
-  const footer = document.querySelector('footer');
-  const loader = document.getElementById('loader');
+function isDebugMode() {
+  const debug = new URLSearchParams(window.location.search).get('debug');
+  return debug !== null && debug !== '0' && debug !== 'false';
+}
+
+/**
+ * Affiche la page d'erreur correspondant à la cause de l'échec
+ * 
+ * Sans configuration d'organisation (organisation absente ou inconnue),
+ * l'en-tête et le pied de page par défaut sont masqués pour ne pas
+ * afficher l'image d'une autre organisation.
+ * 
+ * @param {Error} error - L'erreur survenue (AttestationError ou autre)
+ */
+function displayErrorPage(error) {
+  const page = error instanceof AttestationError ? error.page : 'unavailable';
+  const errorMessage = document.getElementById('error-message');
+  const retryButton = document.getElementById('error-retry');
+  
+  document.getElementById('content').classList.add('hidden');
+  document.getElementById('title-greeting').textContent = t(`errorPage.${page}.title`);
+  document.getElementById('title-subtitle').classList.add('hidden');
+  document.getElementById('view-diploma-link').classList.add('hidden');
+  document.getElementById('error-description').textContent = t(`errorPage.${page}.description`);
   
-  if (header) header.style.display = 'none';
-  if (main) main.style.display = 'none';
-  if (footer) footer.style.display = 'none';
-  if (loader) loader.style.display = 'none';
+  if (appConfig) {
+    displayErrorContact(appConfig);
+  } else {
+    document.getElementById('error-contact-text').textContent = t('errorPage.contactUnknown');
+    document.getElementById('header-logo').classList.add('hidden');
+    document.querySelector('footer').classList.add('hidden');
+    removeHeaderLink();
+    hideFavicon();
+  }
   
-  // Masquer le favicon dans l'onglet
-  hideFavicon();
+  // Les erreurs passagères (réseau, serveur du PDF) peuvent être réessayées
+  if (error instanceof AttestationError && error.retryable) {
+    retryButton.classList.remove('hidden');
+    retryButton.addEventListener('click', () => window.location.reload());
+  }
   
-  // Changer le fond du body en gris
-  document.body.style.backgroundColor = '#808080';
-  document.body.style.margin = '0';
-  document.body.style.padding = '0';
+  // Application installée (ouverte sur "/") : proposer la dernière attestation affichée
+  const isStartPage = !window.location.search && !getShortCodeFromPath(window.location.pathname);
+  const rememberedUrl = isStartPage && isStorageAllowed() && getRememberedAttestationUrl();
+  if (rememberedUrl) {
+    const resumeLink = document.getElementById('error-resume');
+    resumeLink.href = rememberedUrl;
+    resumeLink.classList.remove('hidden');
+  }
   
-  // Créer et afficher le message d'erreur
-  const errorPage = document.createElement('div');
-  errorPage.className = 'error-page-simple';
-  errorPage.innerHTML = '<div class="error-page-simple-message">Cette page n\'existe pas</div>';
+  if (isDebugMode()) {
+    displayErrorDetails(error);
+  }
   
-  document.body.appendChild(errorPage);
+  errorMessage.classList.remove('hidden');
 }
 
 /**
- * Affiche un message d'erreur si des paramètres sont manquants
+ * Affiche les coordonnées de l'organisation sur la page d'erreur
  * 
- * @param {string[]} missingParams - Liste des paramètres manquants
+ * @param {Object} config - La configuration de l'organisation
  */
-function displayErrorMessage(missingParams) {
-  // Utiliser la page d'erreur simple au lieu du message détaillé
-  displaySimpleErrorPage();
+function displayErrorContact(config) {
+  const contactText = document.getElementById('error-contact-text');
+  const contactLinks = document.getElementById('error-contact-links');
+  const { email, url, phone } = config.contact || {};
+  
+  const links = [
+    email && { label: t('errorPage.email'), text: email, href: `mailto:${email}` },
+    url && { label: t('errorPage.website'), text: url, href: url },
+    phone && { label: t('errorPage.phone'), text: phone, href: `tel:${phone.replace(/[^\d+]/g, '')}` },
+  ].filter(Boolean);
+  
+  if (links.length === 0) {
+    contactText.textContent = t('errorPage.contactUnknown');
+    return;
+  }
+  
+  contactText.textContent = t('errorPage.contact', { organizationName: config.organizationName });
+  contactLinks.replaceChildren(...links.map(({ label, text, href }) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = text;
+    if (href.startsWith('http')) {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    }
+    item.append(`${label} `, link);
+    return item;
+  }));
 }
 
 /**
- * Affiche un message d'erreur si l'organisation spécifiée n'existe pas
+ * Affiche les détails techniques de l'erreur (mode débogage)
  * 
- * @param {string} orgId - L'identifiant de l'organisation demandée
- * @param {string} availableOrgs - Liste des organisations disponibles (séparées par des virgules)
+ * @param {Error} error - L'erreur survenue
  */
-function displayConfigNotFoundError(orgId, availableOrgs) {
-  // Utiliser la page d'erreur simple au lieu du message détaillé
-  displaySimpleErrorPage();
+function displayErrorDetails(error) {
+  const debug = document.getElementById('error-debug');
+  const details = [`${error.name}: ${error.message}`, ...(error.details || [])];
+  
+  document.getElementById('error-debug-list').replaceChildren(...details.map(detail => {
+    const item = document.createElement('li');
+    item.textContent = detail;
+    return item;
+  }));
+  
+  debug.open = true;
+  debug.classList.remove('hidden');
 }
 
 /**
@@ -320,11 +483,11 @@ function personalizeTitle(prenom) {
   if (prenom && prenom.trim()) {
     // Capitaliser la première lettre du prénom
     const prenomCapitalized = prenom.trim().charAt(0).toUpperCase() + prenom.trim().slice(1).toLowerCase();
-    greetingElement.textContent = `Bonjour ${prenomCapitalized}!`;
+    greetingElement.textContent = t('title.greeting', { prenom: prenomCapitalized });
     subtitleElement.classList.remove('hidden');
   } else {
     // Garder le message par défaut si pas de prénom
-    greetingElement.textContent = 'Partagez votre réussite sur LinkedIn';
+    greetingElement.textContent = t('title.default');
     subtitleElement.classList.add('hidden');
   }
 }
@@ -350,11 +513,15 @@ function displayCertIdBadge(certId) {
  * Initialise le rendu du PDF en image
  * 
  * @param {string} pdfUrl - L'URL du PDF à afficher
+ * @param {Promise<Object>} certificatePdf - Le document en cours de chargement (voir loadPdfDocument)
+ * @returns {Promise<boolean>} true si le PDF a été affiché dans la visionneuse
  */
-async function initializePdfPreview(pdfUrl) {
+async function initializePdfPreview(pdfUrl, certificatePdf) {
   const canvas = document.getElementById('pdf-canvas');
   const image = document.getElementById('certificate-image');
   const fallbackMessage = document.getElementById('fallback-message');
+  const fallbackError = document.getElementById('fallback-error');
+  const fallbackMainThread = document.getElementById('fallback-main-thread');
   const pdfLink = document.getElementById('pdf-link');
   const pdfLinkPreview = document.getElementById('pdf-link-preview');
   
@@ -362,93 +529,428 @@ async function initializePdfPreview(pdfUrl) {
   pdfLinkPreview.href = pdfUrl;
   
   try {
-    // Option 1: Rendre directement dans le canvas
-    await renderPdfToCanvas(pdfUrl, canvas, 1.5);
+    // Charger le document et afficher la visionneuse (toutes les pages, zoom)
+    const pdf = await certificatePdf;
     canvas.classList.remove('hidden');
+    await createPdfViewer(pdf, {
+      canvas,
+      container: document.getElementById('pdf-canvas-container'),
+      toolbar: document.getElementById('pdf-toolbar'),
+      prevButton: document.getElementById('pdf-prev'),
+      nextButton: document.getElementById('pdf-next'),
+      pageIndicator: document.getElementById('pdf-page-indicator'),
+      zoomInButton: document.getElementById('pdf-zoom-in'),
+      zoomOutButton: document.getElementById('pdf-zoom-out'),
+      fitWidthButton: document.getElementById('pdf-fit-width'),
+      thumbnails: document.getElementById('pdf-thumbnails'),
+    });
+    trackEvent('pdf_rendered', { pages: pdf.numPages });
+    
+    // Conserver le PDF pour la consultation hors ligne
+    if (isStorageAllowed()) {
+      cacheCertificatePdf(pdfUrl, pdf);
+    }
+    
+    // Signaler le mode de compatibilité si le worker PDF.js n'a pas démarré
+    if (isMainThreadRendering()) {
+      fallbackError.classList.add('hidden');
+      fallbackMainThread.classList.remove('hidden');
+      fallbackMessage.classList.remove('hidden');
+    }
     
     // Option alternative: Convertir en image (décommenter si préféré)
-    // const { dataUrl } = await renderPdfToImage(pdfUrl, 1.5);
+    // const { dataUrl } = await renderPdfToImage(pdf, 1.5);
     // image.src = dataUrl;
     // image.classList.remove('hidden');
     
+    return true;
   } catch (error) {
     console.error('Erreur lors du chargement du PDF:', error);
+    trackEvent('pdf_failed', { reason: error.name });
+    
+    // Hors ligne : afficher l'aperçu conservé lors d'une visite précédente
+    const cachedPreview = (!navigator.onLine || !(error instanceof PdfUnavailableError))
+      && await getCachedCertificatePreview(pdfUrl);
+    if (cachedPreview) {
+      canvas.classList.add('hidden');
+      document.getElementById('pdf-toolbar').classList.add('hidden');
+      document.getElementById('pdf-thumbnails').classList.add('hidden');
+      image.src = cachedPreview;
+      image.classList.remove('hidden');
+      return false;
+    }
+    
+    // Le serveur du PDF répond par une erreur : l'attestation est inaccessible
+    if (error instanceof PdfUnavailableError) {
+      displayErrorPage(error);
+      return false;
+    }
     
     // Afficher le message de fallback
     canvas.classList.add('hidden');
     image.classList.add('hidden');
+    document.getElementById('pdf-toolbar').classList.add('hidden');
+    document.getElementById('pdf-thumbnails').classList.add('hidden');
     pdfLinkPreview.classList.add('hidden');
+    fallbackMainThread.classList.add('hidden');
+    fallbackError.classList.remove('hidden');
     fallbackMessage.classList.remove('hidden');
     
     // Configurer le lien vers le PDF
     pdfLink.href = pdfUrl;
+    return false;
   }
 }
 
+/**
+ * Affiche l'état "attestation révoquée" à la place des étapes de partage
+ * 
+ * @param {Object} revocation - La révocation ({ date, reason })
+ */
+function displayRevokedState(revocation) {
+  const stepsElement = document.querySelector('.steps');
+  const revokedMessage = document.getElementById('revoked-message');
+  const revokedReason = document.getElementById('revoked-reason');
+  const revokedDate = document.getElementById('revoked-date');
+  const greetingElement = document.getElementById('title-greeting');
+  const subtitleElement = document.getElementById('title-subtitle');
+  
+  greetingElement.textContent = t('revoked.title');
+  subtitleElement.classList.add('hidden');
+  
+  if (revocation.date) {
+    revokedDate.textContent = t('revoked.date', { date: formatDate(revocation.date) });
+    revokedDate.classList.remove('hidden');
+  }
+  
+  if (revocation.reason) {
+    revokedReason.textContent = t('revoked.reason', { reason: revocation.reason });
+    revokedReason.classList.remove('hidden');
+  }
+  
+  disableLinkedInButtons();
+  stepsElement.classList.add('hidden');
+  revokedMessage.classList.remove('hidden');
+}
+
+/**
+ * Désactive les boutons LinkedIn (Add to profile et Share)
+ */
+function disableLinkedInButtons() {
+  ['add-to-profile', 'share-on-linkedin'].forEach(id => {
+    const button = document.getElementById(id);
+    button.removeAttribute('href');
+    button.setAttribute('aria-disabled', 'true');
+    button.setAttribute('tabindex', '-1');
+    button.classList.add('button-disabled');
+    button.addEventListener('click', (e) => e.preventDefault());
+  });
+}
+
 /**
  * Initialise les liens LinkedIn (Add to profile et Share)
  * 
  * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Promise<Object>} certificatePdf - Le document PDF (voir loadPdfDocument)
  */
-function initializeLinkedInLinks(urlParams) {
+function initializeLinkedInLinks(urlParams, certificatePdf) {
   // Étape 1: Lien "Add to profile"
   const addToProfileButton = document.getElementById('add-to-profile');
-  const organizationName = appConfig?.organizationName || 'Collège des administrateurs de sociétés';
-  const addToProfileUrl = buildLinkedInAddToProfileUrl({
-    organizationName: organizationName,
-    formation: urlParams.formation,
-    certId: urlParams.certId,
-    annee: urlParams.annee,
-    mois: urlParams.mois,
-    pdfUrl: urlParams.pdf,
-  });
-  addToProfileButton.href = addToProfileUrl;
+  addToProfileButton.href = buildAddToProfileUrl(urlParams, appConfig, window.location.origin);
+  
+  // Le nom de l'organisation n'est à saisir que si LinkedIn ne peut pas la retrouver
+  const linkedinOrganizationId = getLinkedInOrganizationId(urlParams, appConfig);
+  document.getElementById('add-to-profile-info').classList.toggle('hidden', Boolean(linkedinOrganizationId));
+  
+  // Étape 2: Image personnalisée à joindre à la publication
+  const shareImage = initializeShareImage(urlParams, certificatePdf);
+  
+  // Étape 2: Autres réseaux proposés par l'organisation
+  const updateShareTargets = initializeShareTargets(urlParams, shareImage);
   
   // Étape 2: Lien "Share post" - Initialiser le textarea et le gestionnaire
-  initializeMessageEditor(urlParams);
+  initializeMessageEditor(urlParams, updateShareTargets);
+}
+
+/**
+ * Génère l'image de partage personnalisée et configure ses actions
+ * (téléchargement et copie dans le presse-papiers)
+ * 
+ * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Promise<Object>} certificatePdf - Le document PDF (voir loadPdfDocument)
+ * @returns {Promise<Blob|null>} L'image, ou null si elle n'a pas pu être générée
+ */
+async function initializeShareImage(urlParams, certificatePdf) {
+  const container = document.getElementById('share-image');
+  const preview = document.getElementById('share-image-preview');
+  const downloadButton = document.getElementById('download-share-image');
+  const copyButton = document.getElementById('copy-share-image');
+  const copyStatus = document.getElementById('copy-share-image-status');
+  
+  try {
+    const { dataUrl } = await renderPdfToImage(certificatePdf, 1.5);
+    
+    // Conserver l'aperçu pour la consultation hors ligne
+    if (isStorageAllowed()) {
+      cacheCertificatePreview(urlParams.pdf, dataUrl);
+    }
+    
+    const canvas = await composeShareImage({
+      certificateDataUrl: dataUrl,
+      formation: urlParams.formation,
+      organizationName: appConfig.organizationName,
+      logoUrl: appConfig.logo ? `/${appConfig.logo}` : null,
+      theme: appConfig.theme,
+    });
+    const blob = await canvasToPngBlob(canvas);
+    
+    preview.src = URL.createObjectURL(blob);
+    container.classList.remove('hidden');
+    
+    downloadButton.addEventListener('click', () => {
+      downloadBlob(blob, `publication-${urlParams.certId}.png`);
+    });
+    
+    // La copie d'image n'est pas prise en charge par tous les navigateurs
+    if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+      copyButton.classList.add('hidden');
+      return blob;
+    }
+    
+    copyButton.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        copyStatus.textContent = t('shareImage.copied');
+      } catch (error) {
+        console.error('Erreur lors de la copie de l\'image:', error);
+        copyStatus.textContent = t('shareImage.copyFailed');
+      }
+      copyStatus.classList.remove('hidden');
+      setTimeout(() => copyStatus.classList.add('hidden'), 3000);
+    });
+    
+    return blob;
+  } catch (error) {
+    // Sans aperçu du PDF (CORS, réseau), l'image ne peut pas être générée
+    console.error('Erreur lors de la création de l\'image de partage:', error);
+    container.classList.add('hidden');
+    return null;
+  }
+}
+
+/**
+ * Initialise les autres réseaux de partage proposés par l'organisation
+ * (shareTargets dans config.json, voir src/shareTargets.js)
+ * 
+ * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Promise<Blob|null>} shareImage - L'image de partage, jointe au partage du système si elle est prête au moment du clic
+ * @returns {function(string): void} Signale les réseaux dont la limite est dépassée par le message
+ */
+function initializeShareTargets(urlParams, shareImage) {
+  const targetIds = getEnabledShareTargets(appConfig);
+  if (targetIds.length === 0) {
+    return () => {};
+  }
+  
+  const container = document.getElementById('share-targets');
+  const buttonsContainer = document.getElementById('share-target-buttons');
+  const status = document.getElementById('share-target-status');
+  const textarea = document.getElementById('linkedin-message');
+  const linkUrl = getShareLinkUrl(urlParams, appConfig, window.location.origin);
+  
+  let statusTimer = null;
+  const showStatus = (text) => {
+    clearTimeout(statusTimer);
+    status.textContent = text;
+    status.classList.remove('hidden');
+    statusTimer = setTimeout(() => status.classList.add('hidden'), 5000);
+  };
+  
+  // Préparer le fichier joint au partage du système dès que l'image est prête :
+  // navigator.share doit être appelé pendant le clic, sans attente
+  let shareFile = null;
+  shareImage.then(blob => {
+    if (blob) {
+      shareFile = new File([blob], `publication-${urlParams.certId}.png`, { type: 'image/png' });
+    }
+  });
+  
+  const buttons = targetIds.map(id => {
+    const target = SHARE_TARGETS[id];
+    const network = t(`shareTargets.${id}`);
+    // Les réseaux s'ouvrent par un lien, le partage du système par un bouton
+    const button = document.createElement(target.buildUrl ? 'a' : 'button');
+    button.className = 'secondary-button';
+    button.textContent = network;
+    if (!target.buildUrl) {
+      button.type = 'button';
+    } else {
+      button.href = '#';
+      if (id !== 'email') {
+        button.target = '_blank';
+        button.rel = 'noopener noreferrer';
+      }
+    }
+    
+    button.addEventListener('click', async (e) => {
+      const message = textarea.value;
+      
+      if (exceedsShareLimit(id, message, linkUrl)) {
+        e.preventDefault();
+        showStatus(t('shareTargets.tooLong', { network, current: target.getLength(message, linkUrl), max: target.maxLength }));
+        return;
+      }
+      
+      trackEvent('share_clicked', { network: id });
+      
+      // Construire l'URL de partage au moment du clic
+      if (target.buildUrl) {
+        button.href = target.buildUrl({
+          message,
+          linkUrl,
+          subject: t('shareTargets.emailSubject', { formation: urlParams.formation }),
+        });
+        // Le réseau ne reprend pas le message : le copier pour le coller dans la publication
+        if (!target.messageIncluded) {
+          navigator.clipboard?.writeText(message)
+            .then(() => showStatus(t('shareTargets.messageCopied', { network })))
+            .catch(error => console.warn('Impossible de copier le message:', error));
+        }
+        return;
+      }
+      
+      // Sans attendre l'image : partager sans elle si elle n'est pas encore prête
+      button.disabled = true;
+      try {
+        await shareNatively({
+          title: document.title,
+          message,
+          linkUrl,
+          image: shareFile,
+        });
+      } catch (error) {
+        console.error('Erreur lors du partage:', error);
+        showStatus(t('shareTargets.failed'));
+      } finally {
+        button.disabled = false;
+      }
+    });
+    
+    buttonsContainer.appendChild(button);
+    return { id, button };
+  });
+  
+  container.classList.remove('hidden');
+  
+  return (message) => {
+    buttons.forEach(({ id, button }) => {
+      button.classList.toggle('share-target-over-limit', exceedsShareLimit(id, message, linkUrl));
+    });
+  };
 }
 
 /**
  * Initialise l'éditeur de message pour le partage LinkedIn
  * 
  * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {function(string): void} onMessageChange - Appelée à chaque changement du message (limites des autres réseaux)
  */
-function initializeMessageEditor(urlParams) {
+function initializeMessageEditor(urlParams, onMessageChange) {
   const textarea = document.getElementById('linkedin-message');
   const charCount = document.getElementById('char-count');
   const resetLink = document.getElementById('reset-message');
   const shareButton = document.getElementById('share-on-linkedin');
-  const organisationName = appConfig?.organizationName || 'Collège des administrateurs de sociétés';
+  const presetSelect = document.getElementById('message-preset');
+  const lintList = document.getElementById('message-lint');
+  const previewText = document.getElementById('post-preview-text');
+  const previewMore = document.getElementById('post-preview-more');
+  const { templates, defaultId } = messageTemplates;
+  const templateValues = buildTemplateValues(urlParams, appConfig);
   
-  // Générer le message par défaut (sans l'URL du PDF)
-  const defaultMessage = getDefaultLinkedInMessage(
-    urlParams.formation,
-    organisationName
-  );
+  // Lien ajouté au message : image de l'organisation, sinon page de vérification
+  const linkUrl = getShareLinkUrl(urlParams, appConfig, window.location.origin);
+  
+  // Aperçu replié comme dans le fil LinkedIn, déplié à la demande
+  let previewExpanded = false;
+  let postText = '';
+  const updatePreview = () => {
+    const folded = renderPostPreview(previewText, postText, previewExpanded);
+    previewMore.classList.toggle('hidden', !folded && !previewExpanded);
+    previewMore.textContent = t(previewExpanded ? 'step2.preview.less' : 'step2.preview.more');
+    previewMore.setAttribute('aria-expanded', String(previewExpanded));
+  };
+  previewMore.addEventListener('click', () => {
+    previewExpanded = !previewExpanded;
+    updatePreview();
+  });
+  document.getElementById('post-preview-author').textContent = urlParams.prenom?.trim() || t('step2.preview.author');
+  
+  // Vérifier le texte publié (message et lien) : compteur, remarques, aperçu
+  // et limites des autres réseaux
+  const updateMessageState = () => {
+    const review = lintMessage(textarea.value, linkUrl);
+    postText = review.text;
+    updateCharCount(charCount, review);
+    displayMessageLint(lintList, review.issues);
+    updatePreview();
+    onMessageChange(textarea.value);
+  };
   
-  // Initialiser le textarea avec le message par défaut
-  textarea.value = defaultMessage;
-  updateCharCount(textarea, charCount);
-  // Ne pas mettre à jour l'URL ici, elle sera construite au clic avec l'URL du PDF
+  // Générer le message du modèle sélectionné (sans l'URL de partage)
+  const renderPreset = (id) => {
+    const template = templates.find(preset => preset.id === id) || templates[0];
+    return renderMessageTemplate(template.text, templateValues);
+  };
+  
+  // Remplir le sélecteur de modèles
+  templates.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    presetSelect.appendChild(option);
+  });
+  presetSelect.value = defaultId;
+  presetSelect.classList.toggle('hidden', templates.length < 2);
+  
+  // Initialiser le textarea avec le message du modèle par défaut
+  textarea.value = renderPreset(defaultId);
+  updateMessageState();
+  // Ne pas mettre à jour l'URL ici, elle sera construite au clic
+  
+  // Mesurer une seule modification par message issu d'un modèle
+  let edited = false;
   
   // Mettre à jour le compteur lors de la saisie (mais pas l'URL)
   textarea.addEventListener('input', () => {
-    updateCharCount(textarea, charCount);
+    updateMessageState();
+    if (!edited) {
+      edited = true;
+      trackEvent('message_edited', { template: presetSelect.value });
+    }
+  });
+  
+  // Changer de modèle
+  presetSelect.addEventListener('change', () => {
+    textarea.value = renderPreset(presetSelect.value);
+    updateMessageState();
+    edited = false;
   });
   
-  // Réinitialiser au message par défaut
+  // Réinitialiser au message du modèle sélectionné
   resetLink.addEventListener('click', (e) => {
     e.preventDefault();
-    textarea.value = defaultMessage;
-    updateCharCount(textarea, charCount);
+    textarea.value = renderPreset(presetSelect.value);
+    updateMessageState();
+    edited = false;
+    trackEvent('message_reset', { template: presetSelect.value });
     textarea.focus();
   });
   
-  // Construire l'URL de partage avec l'URL du PDF au moment du clic
+  // Construire l'URL de partage au moment du clic
   shareButton.addEventListener('click', (e) => {
     const messageWithUrl = buildLinkedInShareUrl({
       message: textarea.value,
-      pdfUrl: urlParams.pdf,
+      linkUrl,
     });
     shareButton.href = messageWithUrl;
     // Laisser le lien s'ouvrir normalement
@@ -456,20 +958,191 @@ function initializeMessageEditor(urlParams) {
 }
 
 /**
- * Met à jour le compteur de caractères
+ * Initialise l'export de l'attestation au format Open Badges 3.0
+ * 
+ * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Promise<Object>} certificatePdf - Le document PDF (voir loadPdfDocument)
+ */
+function initializeBadgeExport(urlParams, certificatePdf) {
+  const jsonButton = document.getElementById('download-badge-json');
+  const pngButton = document.getElementById('download-badge-png');
+  const credential = buildOpenBadgeCredential(
+    urlParams,
+    appConfig,
+    buildVerificationUrl(window.location.origin, urlParams.org, urlParams.certId),
+    `${window.location.origin}/`
+  );
+  
+  const fileName = `attestation-${urlParams.certId}`;
+  
+  jsonButton.addEventListener('click', () => {
+    const json = JSON.stringify(credential, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/ld+json' }), `${fileName}.json`);
+  });
+  
+  pngButton.addEventListener('click', async () => {
+    pngButton.disabled = true;
+    try {
+      // Rendre l'attestation en PNG puis y intégrer le badge
+      const { dataUrl } = await renderPdfToImage(certificatePdf, 1.5, 'image/png');
+      const pngBytes = new Uint8Array(await (await fetch(dataUrl)).arrayBuffer());
+      const baked = bakeOpenBadgePng(pngBytes, credential);
+      downloadBlob(new Blob([baked], { type: 'image/png' }), `${fileName}.png`);
+    } catch (error) {
+      console.error('Erreur lors de la création de l\'image du badge:', error);
+      pngButton.classList.add('button-disabled');
+    } finally {
+      pngButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Initialise les actions sur l'attestation : téléchargement en PNG ou JPEG
+ * à la résolution choisie, copie dans le presse-papiers et impression
+ * 
+ * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Object} pdf - Le document PDF affiché (PDFDocumentProxy)
+ */
+function initializeCertificateActions(urlParams, pdf) {
+  const actions = document.getElementById('certificate-actions');
+  const formatSelect = document.getElementById('export-format');
+  const resolutionSelect = document.getElementById('export-resolution');
+  const downloadButton = document.getElementById('export-download');
+  const copyButton = document.getElementById('export-copy');
+  const printButton = document.getElementById('export-print');
+  const status = document.getElementById('export-status');
+  const printImage = document.getElementById('print-image');
+  
+  // Proposer les résolutions (standard par défaut)
+  resolutionSelect.replaceChildren(...EXPORT_RESOLUTIONS.map(dpi => {
+    const option = document.createElement('option');
+    option.value = dpi;
+    option.textContent = t(`export.dpi.${dpi}`);
+    return option;
+  }));
+  resolutionSelect.value = '150';
+  
+  // Afficher un état, masqué après quelques secondes (sauf pendant le rendu)
+  let statusTimer = null;
+  const showStatus = (key, persistent = false) => {
+    clearTimeout(statusTimer);
+    status.textContent = t(key);
+    status.classList.remove('hidden');
+    if (!persistent) {
+      statusTimer = setTimeout(() => status.classList.add('hidden'), 3000);
+    }
+  };
+  
+  // Rendre l'image pendant une action (bouton désactivé), puis afficher son résultat éventuel
+  const runAction = async (button, action) => {
+    button.disabled = true;
+    showStatus('export.rendering', true);
+    try {
+      const resultKey = await action();
+      if (resultKey) {
+        showStatus(resultKey);
+      } else {
+        status.classList.add('hidden');
+      }
+    } catch (error) {
+      console.error('Erreur lors de l\'export de l\'attestation:', error);
+      showStatus('export.failed');
+    } finally {
+      button.disabled = false;
+    }
+  };
+  
+  downloadButton.addEventListener('click', () => runAction(downloadButton, async () => {
+    const format = formatSelect.value;
+    const dpi = parseInt(resolutionSelect.value, 10);
+    const blob = await renderCertificateImage(pdf, { format, dpi });
+    downloadBlob(blob, getExportFileName(urlParams, format, dpi));
+  }));
+  
+  // La copie d'image n'est pas prise en charge par tous les navigateurs
+  if (canCopyImage()) {
+    copyButton.addEventListener('click', () => runAction(copyButton, async () => {
+      await copyCertificateImage(pdf, parseInt(resolutionSelect.value, 10));
+      return 'export.copied';
+    }));
+  } else {
+    copyButton.classList.add('hidden');
+  }
+  
+  // Imprimer l'attestation en haute résolution avec son identifiant
+  const printCertId = document.getElementById('print-cert-id');
+  if (urlParams.certId) {
+    document.getElementById('print-cert-id-value').textContent = urlParams.certId;
+    printCertId.classList.remove('hidden');
+  }
+  
+  printButton.addEventListener('click', () => runAction(printButton, async () => {
+    const blob = await renderCertificateImage(pdf, { format: 'png', dpi: PRINT_RESOLUTION });
+    printImage.src = URL.createObjectURL(blob);
+    await printImage.decode();
+    window.print();
+  }));
+  
+  // Impression depuis le menu du navigateur : utiliser l'aperçu affiché
+  window.addEventListener('beforeprint', () => {
+    if (!printImage.getAttribute('src')) {
+      printImage.src = document.getElementById('pdf-canvas').toDataURL('image/png');
+    }
+  });
+  
+  actions.classList.remove('hidden');
+}
+
+/**
+ * Déclenche le téléchargement d'un fichier généré
+ * 
+ * @param {Blob} blob - Le contenu du fichier
+ * @param {string} fileName - Le nom du fichier
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Affiche les remarques sur le message (erreurs en premier)
+ * 
+ * @param {HTMLElement} list - La liste des remarques
+ * @param {{code: string, severity: string, values: Object}[]} issues - Les remarques (voir lintMessage)
+ */
+function displayMessageLint(list, issues) {
+  const sorted = [...issues].sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+  list.replaceChildren(...sorted.map(({ code, severity, values }) => {
+    const item = document.createElement('li');
+    item.className = `message-lint-${severity}`;
+    item.textContent = t(`step2.lint.${code}`, values);
+    return item;
+  }));
+  list.classList.toggle('hidden', issues.length === 0);
+}
+
+/**
+ * Met à jour le compteur de caractères du texte publié (message et lien)
  * 
- * @param {HTMLTextAreaElement} textarea - Le textarea
  * @param {HTMLElement} charCount - L'élément affichant le compteur
+ * @param {Object} review - La vérification du message (voir lintMessage)
+ * @param {number} review.length - La longueur du texte publié
+ * @param {number} review.maxLength - La limite de LinkedIn
  */
-function updateCharCount(textarea, charCount) {
-  const current = textarea.value.length;
-  const max = parseInt(textarea.getAttribute('maxlength')) || 3000;
+function updateCharCount(charCount, { length: current, maxLength: max }) {
   const remaining = max - current;
   
-  charCount.textContent = `${current} / ${max} caractères`;
+  charCount.textContent = t('step2.charCount', { current, max });
   
   // Changer la couleur si on approche de la limite
-  if (remaining < 100) {
+  if (remaining < LENGTH_WARNING_MARGIN) {
     charCount.classList.add('char-count-warning');
   } else {
     charCount.classList.remove('char-count-warning');
@@ -484,129 +1157,82 @@ function updateCharCount(textarea, charCount) {
 
 
 /**
- * Génère une clé unique pour le localStorage basée sur les paramètres du certificat
+ * Restaure l'état de complétion depuis le localStorage
+ * 
+ * Après le délai de l'organisation (completedView.delayMinutes) depuis la
+ * dernière étape terminée, la vue "attestation partagée" remplace les étapes.
  * 
  * @param {Object} urlParams - Les paramètres extraits de l'URL
- * @returns {string} La clé unique pour ce certificat
  */
-function getStorageKey(urlParams) {
-  // Utiliser certId si disponible, sinon combiner plusieurs paramètres
-  if (urlParams.certId) {
-    return `cert_completion_${urlParams.certId}`;
+function restoreCompletionState(urlParams) {
+  const state = readCompletionState(getCompletionStorageKey(urlParams, appConfig.organizationName));
+  
+  // Afficher les indicateurs de complétion
+  COMPLETION_STEPS.forEach(step => {
+    if (state[step].completed) {
+      document.getElementById(`${step}-complete`).classList.remove('hidden');
+    }
+  });
+  
+  // Vérifier le délai depuis la dernière étape terminée
+  const lastActivity = getLastActivity(state);
+  if (lastActivity !== null && Date.now() - lastActivity > getCompletedViewDelay(appConfig)) {
+    displayCompletedView(urlParams, state);
   }
-  // Fallback: combiner pdf + formation + organizationName pour créer une clé unique
-  const organizationName = appConfig?.organizationName || 'Collège des administrateurs de sociétés';
-  const keyParts = [
-    urlParams.pdf,
-    urlParams.formation,
-    organizationName,
-  ].filter(Boolean);
-  return `cert_completion_${btoa(keyParts.join('|')).replace(/[+/=]/g, '')}`;
 }
 
 /**
- * Restaure l'état de complétion depuis le localStorage
+ * Affiche la vue "attestation partagée" : résumé des étapes terminées,
+ * téléchargement du PDF et boutons pour refaire une étape
  * 
  * @param {Object} urlParams - Les paramètres extraits de l'URL
+ * @param {Object} state - L'état de complétion (voir completionState.js)
  */
-function restoreCompletionState(urlParams) {
-  const storageKey = getStorageKey(urlParams);
-  const savedState = localStorage.getItem(storageKey);
+function displayCompletedView(urlParams, state) {
+  const stepsElement = document.querySelector('.steps');
+  const titleBanner = document.querySelector('.title-banner');
+  const footerText = document.getElementById('footer-text');
+  const headerTitle = document.querySelector('.header-title');
+  const summary = document.getElementById('completed-summary');
+  const stepList = document.getElementById('completed-steps');
+  const downloadLink = document.getElementById('completed-download');
+  const previousHeaderTitle = headerTitle.textContent;
   
-  if (savedState) {
-    try {
-      const state = JSON.parse(savedState);
-      
-      // Gérer la compatibilité avec l'ancien format (step1/step2 comme booléens)
-      // et le nouveau format (step1/step2 comme objets)
-      let step1Completed = false;
-      let step2Completed = false;
-      let step1Timestamp = null;
-      let step2Timestamp = null;
-      
-      if (typeof state.step1 === 'object' && state.step1 !== null) {
-        // Nouveau format : objet avec completed et timestamp
-        step1Completed = state.step1.completed || false;
-        step1Timestamp = state.step1.timestamp || null;
-      } else if (typeof state.step1 === 'boolean') {
-        // Ancien format : booléen simple
-        step1Completed = state.step1;
-        step1Timestamp = state.step1Timestamp || null;
-      }
-      
-      if (typeof state.step2 === 'object' && state.step2 !== null) {
-        // Nouveau format : objet avec completed et timestamp
-        step2Completed = state.step2.completed || false;
-        step2Timestamp = state.step2.timestamp || null;
-      } else if (typeof state.step2 === 'boolean') {
-        // Ancien format : booléen simple
-        step2Completed = state.step2;
-        step2Timestamp = state.step2Timestamp || null;
-      }
-      
-      // Afficher les indicateurs de complétion
-      if (step1Completed) {
-        const step1Indicator = document.getElementById('step1-complete');
-        step1Indicator.classList.remove('hidden');
-      }
-      
-      if (step2Completed) {
-        const step2Indicator = document.getElementById('step2-complete');
-        step2Indicator.classList.remove('hidden');
-      }
-      
-      // Vérifier si l'utilisateur a déjà partagé (step1 ou step2)
-      const hasShared = step1Completed || step2Completed;
-      
-      // Trouver le timestamp le plus récent
-      const timestamps = [];
-      if (step1Timestamp) {
-        timestamps.push(parseInt(step1Timestamp));
-      }
-      if (step2Timestamp) {
-        timestamps.push(parseInt(step2Timestamp));
-      }
-      
-      // Vérifier le délai depuis le dernier timestamp si l'utilisateur a partagé
-      if (hasShared && timestamps.length > 0) {
-        const mostRecentTimestamp = Math.max(...timestamps);
-        const now = Date.now();
-        const timeElapsed = now - mostRecentTimestamp;
-        const twoMinutesInMs = 2 * 60 * 1000; // 2 minutes en millisecondes
-        
-        // Si plus de 2 minutes se sont écoulées depuis le dernier partage, masquer les étapes
-        if (timeElapsed > twoMinutesInMs) {
-          const stepsElement = document.querySelector('.steps');
-          const titleBanner = document.querySelector('.title-banner');
-          const footer = document.querySelector('footer');
-          const headerTitle = document.querySelector('.header-title');
-          
-          if (stepsElement) {
-            stepsElement.classList.add('hidden');
-          }
-          
-          if (titleBanner) {
-            titleBanner.classList.add('hidden');
-          }
-          
-          // Masquer la phrase du footer
-          if (footer) {
-            const footerText = footer.querySelector('p');
-            if (footerText) {
-              footerText.classList.add('hidden');
-            }
-          }
-          
-          // Changer le titre du header pour "Votre diplôme"
-          if (headerTitle) {
-            headerTitle.textContent = 'Votre attestation';
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Erreur lors de la restauration de l\'état:', error);
+  // Résumé de chaque étape, avec sa date
+  stepList.replaceChildren(...COMPLETION_STEPS.map(step => {
+    const { completed, timestamp } = state[step];
+    const item = document.createElement('li');
+    item.classList.add(completed ? 'completed-step-done' : 'completed-step-pending');
+    if (!completed) {
+      item.textContent = t(`completed.${step}.pending`);
+    } else if (timestamp) {
+      item.textContent = t(`completed.${step}.done`, { date: formatDateTime(timestamp) });
+    } else {
+      item.textContent = t(`completed.${step}.doneUndated`);
     }
-  }
+    return item;
+  }));
+  
+  downloadLink.href = urlParams.pdf;
+  
+  // Masquer les étapes, le bandeau et la phrase du footer
+  [stepsElement, titleBanner, footerText].forEach(element => element.classList.add('hidden'));
+  headerTitle.textContent = t('header.titleCompleted');
+  summary.classList.remove('hidden');
+  
+  // Revenir aux étapes pour refaire l'ajout au profil ou la publication
+  const redoStep = (buttonId) => {
+    summary.classList.add('hidden');
+    [stepsElement, titleBanner, footerText].forEach(element => element.classList.remove('hidden'));
+    headerTitle.textContent = previousHeaderTitle;
+    
+    const button = document.getElementById(buttonId);
+    button.closest('.step-card').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    button.focus({ preventScroll: true });
+  };
+  
+  document.getElementById('completed-redo-step1').addEventListener('click', () => redoStep('add-to-profile'));
+  document.getElementById('completed-redo-step2').addEventListener('click', () => redoStep('share-on-linkedin'));
 }
 
 /**
@@ -615,81 +1241,36 @@ function restoreCompletionState(urlParams) {
  * @param {Object} urlParams - Les paramètres extraits de l'URL
  */
 function setupCompletionTracking(urlParams) {
-  const storageKey = getStorageKey(urlParams);
+  const storageKey = getCompletionStorageKey(urlParams, appConfig.organizationName);
   const addToProfileButton = document.getElementById('add-to-profile');
   const shareButton = document.getElementById('share-on-linkedin');
   const step1Indicator = document.getElementById('step1-complete');
   const step2Indicator = document.getElementById('step2-complete');
   
-  // Fonction pour sauvegarder l'état
-  const saveState = (step, completed) => {
-    const currentState = localStorage.getItem(storageKey);
-    let state = {};
-    
-    if (currentState) {
-      try {
-        state = JSON.parse(currentState);
-      } catch (error) {
-        console.error('Erreur lors de la lecture de l\'état:', error);
-      }
-    }
-    
-    // Convertir l'ancien format en nouveau format si nécessaire
-    if (typeof state.step1 === 'boolean') {
-      state.step1 = {
-        completed: state.step1,
-        timestamp: state.step1Timestamp || null
-      };
-      delete state.step1Timestamp;
-    }
-    if (typeof state.step2 === 'boolean') {
-      state.step2 = {
-        completed: state.step2,
-        timestamp: state.step2Timestamp || null
-      };
-      delete state.step2Timestamp;
+  // Sauvegarder l'étape terminée (si le visiteur a accepté, voir privacy.js)
+  const saveState = (step) => {
+    if (isStorageAllowed()) {
+      saveCompletedStep(storageKey, step, urlParams.org);
     }
-    
-    // Initialiser l'objet de l'étape si nécessaire
-    if (!state[step] || typeof state[step] !== 'object') {
-      state[step] = {
-        completed: false,
-        timestamp: null
-      };
-    }
-    
-    // Mettre à jour l'état de l'étape
-    state[step].completed = completed;
-    
-    // Sauvegarder le timestamp pour cette étape lors du clic
-    if (completed && (step === 'step1' || step === 'step2')) {
-      state[step].timestamp = Date.now();
-    }
-    
-    // Nettoyer l'ancien format timestamp global si présent
-    if (state.timestamp) {
-      delete state.timestamp;
-    }
-    
-    localStorage.setItem(storageKey, JSON.stringify(state));
   };
   
   // Écouteur pour l'étape 1
   addToProfileButton.addEventListener('click', () => {
+    trackEvent('step1_clicked');
     // Délai pour permettre l'ouverture du lien
     setTimeout(() => {
       step1Indicator.classList.remove('hidden');
-      saveState('step1', true);
+      saveState('step1');
     }, 100);
   });
   
   // Écouteur pour l'étape 2
   shareButton.addEventListener('click', () => {
+    trackEvent('step2_clicked');
     // Délai pour permettre l'ouverture du lien
     setTimeout(() => {
       step2Indicator.classList.remove('hidden');
-      saveState('step2', true);
+      saveState('step2');
     }, 100);
   });
 }
-
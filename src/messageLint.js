@@ -0,0 +1,76 @@
+/**
+ * Vérification du message de publication LinkedIn (étape 2)
+ *
+ * Le texte publié n'est pas le contenu brut de l'éditeur :
+ * buildLinkedInShareUrl y ajoute le lien de l'attestation. Le compteur
+ * porte donc sur le texte final, compté selon les règles de LinkedIn
+ * (countLinkedInCharacters), et les remarques signalent ce qui donnerait
+ * une publication incomplète ou trop longue.
+ */
+
+import { buildLinkedInPostText, countLinkedInCharacters } from './linkedin.js';
+import { SHARE_TARGETS } from './shareTargets.js';
+
+/**
+ * Limite de caractères d'une publication LinkedIn
+ */
+export const LINKEDIN_MAX_LENGTH = SHARE_TARGETS.linkedin.maxLength;
+
+/**
+ * Nombre de hashtags au-delà duquel LinkedIn réduit la portée d'une publication
+ */
+export const MAX_RECOMMENDED_HASHTAGS = 5;
+
+/**
+ * Marge avant la limite à partir de laquelle le compteur avertit
+ */
+export const LENGTH_WARNING_MARGIN = 100;
+
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#[\p{L}\p{N}_]+/gu;
+const PLACEHOLDER_PATTERN = /\{[^{}]*\}/g;
+
+/**
+ * Vérifie le message de publication
+ *
+ * Remarques possibles (`code`), par gravité :
+ * - error : empty (message vide), tooLong (le message dépasse seul la
+ *   limite), linkOverflow (le lien ajouté fait dépasser la limite);
+ * - warning : placeholder (variable de modèle non remplacée, ex: "{prenom}"),
+ *   brokenPlaceholder (accolade isolée), hashtags (plus de MAX_RECOMMENDED_HASHTAGS).
+ *
+ * @param {string} message - Le message de l'éditeur
+ * @param {string} linkUrl - Le lien ajouté au message (optionnel)
+ * @returns {{text: string, length: number, maxLength: number, issues: {code: string, severity: string, values: Object}[]}}
+ *   Le texte publié, sa longueur et les remarques
+ */
+export function lintMessage(message, linkUrl) {
+  const text = buildLinkedInPostText({ message, linkUrl });
+  const length = countLinkedInCharacters(text);
+  const messageLength = countLinkedInCharacters(message);
+  const issues = [];
+
+  if (!message.trim()) {
+    issues.push({ code: 'empty', severity: 'error', values: {} });
+  }
+
+  if (messageLength > LINKEDIN_MAX_LENGTH) {
+    issues.push({ code: 'tooLong', severity: 'error', values: { excess: messageLength - LINKEDIN_MAX_LENGTH } });
+  } else if (length > LINKEDIN_MAX_LENGTH) {
+    issues.push({ code: 'linkOverflow', severity: 'error', values: { link: length - messageLength, excess: length - LINKEDIN_MAX_LENGTH } });
+  }
+
+  const placeholders = [...new Set(message.match(PLACEHOLDER_PATTERN) || [])];
+  if (placeholders.length > 0) {
+    issues.push({ code: 'placeholder', severity: 'warning', values: { placeholders: placeholders.join(', ') } });
+  }
+  if (/[{}]/.test(message.replace(PLACEHOLDER_PATTERN, ''))) {
+    issues.push({ code: 'brokenPlaceholder', severity: 'warning', values: {} });
+  }
+
+  const hashtags = (message.match(HASHTAG_PATTERN) || []).length;
+  if (hashtags > MAX_RECOMMENDED_HASHTAGS) {
+    issues.push({ code: 'hashtags', severity: 'warning', values: { count: hashtags, max: MAX_RECOMMENDED_HASHTAGS } });
+  }
+
+  return { text, length, maxLength: LINKEDIN_MAX_LENGTH, issues };
+}
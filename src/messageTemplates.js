@@ -0,0 +1,197 @@
+/**
+ * Modèles de message pour la publication LinkedIn
+ *
+ * Chaque organisation peut déclarer dans config.json ses propres modèles
+ * (`messageTemplates`), choisis par le participant dans l'éditeur, sous
+ * forme de liste ou de listes par langue :
+ *
+ *   "messageTemplates": {
+ *     "fr": [{ "id": "formal", "label": "Formel", "text": "J'ai complété « {formation} »... {hashtags}" }],
+ *     "en": [{ "id": "formal", "label": "Formal", "text": "I completed “{formation}”... {hashtags}" }]
+ *   },
+ *   "defaultMessageTemplate": "formal",
+ *   "hashtags": ["gouvernance"],
+ *   "linkedinMention": "Collège des administrateurs de sociétés"
+ *
+ * Sans modèles configurés, les modèles par défaut des catalogues de
+ * traduction (formel, enthousiaste, court) sont utilisés.
+ */
+
+import { t, getLanguage, formatMonthName, SUPPORTED_LANGUAGES } from './i18n.js';
+
+/**
+ * Variables disponibles dans les modèles
+ */
+export const TEMPLATE_PLACEHOLDERS = ['formation', 'organizationName', 'prenom', 'mois', 'annee', 'certId', 'hashtags', 'mention'];
+
+/**
+ * Identifiants des modèles par défaut (textes dans les catalogues de traduction)
+ */
+export const DEFAULT_TEMPLATE_IDS = ['formal', 'enthusiastic', 'short'];
+
+/**
+ * Modèle sélectionné par défaut si l'organisation n'en précise aucun
+ */
+export const DEFAULT_TEMPLATE_ID = 'enthusiastic';
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Retourne les modèles par défaut dans une langue
+ *
+ * @param {string} language - La langue (défaut: langue courante)
+ * @returns {Object[]} Les modèles ({ id, label, text })
+ */
+export function getDefaultMessageTemplates(language = getLanguage()) {
+  return DEFAULT_TEMPLATE_IDS.map(id => ({
+    id,
+    label: t(`templates.${id}.label`, {}, language),
+    text: t(`templates.${id}.text`, {}, language),
+  }));
+}
+
+/**
+ * Valide les modèles de message d'une organisation
+ *
+ * @param {Object[]|Object} templates - Les modèles ({ id, label, text }), ou des listes par langue
+ * @param {string} basePath - Le chemin utilisé dans les messages d'erreur
+ * @returns {string[]} Les erreurs trouvées (vide si valide)
+ */
+export function validateMessageTemplates(templates, basePath = 'messageTemplates') {
+  if (templates && typeof templates === 'object' && !Array.isArray(templates)) {
+    return Object.entries(templates).flatMap(([language, list]) => (
+      SUPPORTED_LANGUAGES.includes(language)
+        ? validateMessageTemplates(list, `${basePath}.${language}`)
+        : [`${basePath}.${language} n'est pas une langue prise en charge (${SUPPORTED_LANGUAGES.join(', ')})`]
+    ));
+  }
+
+  if (!Array.isArray(templates)) {
+    return [`${basePath} doit être une liste`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  templates.forEach((template, index) => {
+    const path = `${basePath}[${index}]`;
+
+    if (!template || typeof template !== 'object') {
+      errors.push(`${path} doit être un objet`);
+      return;
+    }
+    if (typeof template.id !== 'string' || !template.id.trim()) {
+      errors.push(`${path}.id est obligatoire`);
+    } else if (ids.has(template.id)) {
+      errors.push(`${path}.id "${template.id}" est en double`);
+    } else {
+      ids.add(template.id);
+    }
+    if (typeof template.label !== 'string' || !template.label.trim()) {
+      errors.push(`${path}.label est obligatoire`);
+    }
+    if (typeof template.text !== 'string' || !template.text.trim()) {
+      errors.push(`${path}.text est obligatoire`);
+      return;
+    }
+
+    for (const [, name] of template.text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+        errors.push(`${path}.text utilise une variable inconnue: {${name}}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Détermine les modèles d'une organisation dans une langue
+ *
+ * Les modèles configurés sont validés; s'ils sont invalides, les modèles
+ * par défaut sont utilisés et les erreurs sont retournées.
+ *
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} language - La langue (défaut: langue courante)
+ * @returns {{templates: Object[], defaultId: string, errors: string[]}} Les modèles retenus
+ */
+export function resolveMessageTemplates(config, language = getLanguage()) {
+  const configured = config.messageTemplates;
+  let templates = getDefaultMessageTemplates(language);
+  let errors = [];
+
+  if (configured !== undefined) {
+    errors = validateMessageTemplates(configured);
+
+    // Listes par langue : langue demandée, sinon langue par défaut de l'organisation
+    const localized = configured && typeof configured === 'object' && !Array.isArray(configured)
+      ? configured[language] || configured[config.defaultLanguage]
+      : configured;
+
+    if (errors.length === 0 && localized?.length > 0) {
+      templates = localized;
+    }
+  }
+
+  const hasTemplate = id => templates.some(template => template.id === id);
+  const defaultId = [config.defaultMessageTemplate, DEFAULT_TEMPLATE_ID].find(hasTemplate) || templates[0].id;
+
+  if (config.defaultMessageTemplate && defaultId !== config.defaultMessageTemplate) {
+    errors.push(`defaultMessageTemplate "${config.defaultMessageTemplate}" ne correspond à aucun modèle`);
+  }
+
+  return { templates, defaultId, errors };
+}
+
+/**
+ * Formate une liste de mots-clés en hashtags
+ *
+ * @param {string[]} hashtags - Les mots-clés (avec ou sans #)
+ * @returns {string} Les hashtags séparés par des espaces (ex: "#gouvernance #CAS")
+ */
+export function formatHashtags(hashtags = []) {
+  return hashtags
+    .map(tag => String(tag).trim().replace(/^#/, '').replace(/\s+/g, ''))
+    .filter(Boolean)
+    .map(tag => `#${tag}`)
+    .join(' ');
+}
+
+/**
+ * Construit les valeurs des variables pour une attestation
+ *
+ * @param {Object} urlParams - Les paramètres de l'attestation
+ * @param {Object} config - La configuration de l'organisation
+ * @returns {Object} Les valeurs indexées par nom de variable
+ */
+export function buildTemplateValues(urlParams, config) {
+  const prenom = (urlParams.prenom || '').trim();
+
+  return {
+    formation: urlParams.formation || '',
+    organizationName: config.organizationName || '',
+    prenom: prenom ? prenom.charAt(0).toUpperCase() + prenom.slice(1).toLowerCase() : '',
+    mois: formatMonthName(urlParams.mois),
+    annee: urlParams.annee || '',
+    certId: urlParams.certId || '',
+    hashtags: formatHashtags(config.hashtags),
+    mention: config.linkedinMention ? `@${config.linkedinMention.replace(/^@/, '')}` : (config.organizationName || ''),
+  };
+}
+
+/**
+ * Remplace les variables d'un modèle
+ *
+ * Les lignes vides en trop (variables vides) sont retirées.
+ *
+ * @param {string} text - Le texte du modèle
+ * @param {Object} values - Les valeurs des variables
+ * @returns {string} Le message
+ */
+export function renderMessageTemplate(text, values) {
+  return text
+    .replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? values[name] : match))
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,231 @@
+/**
+ * Consultation hors ligne
+ *
+ * L'application est une PWA installable : le service worker
+ * (src/serviceWorker.js, servi sous /sw.js) garde la coquille de
+ * l'application, config.json et les images des organisations.
+ *
+ * Après le premier affichage réussi, la page conserve aussi le PDF du
+ * participant et l'aperçu rendu par renderPdfToImage dans CERTIFICATE_CACHE :
+ * en revenant sur le lien sans réseau, l'attestation reste affichée. Les
+ * actions LinkedIn demandées hors ligne sont mises en attente et proposées
+ * au retour du réseau.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Cache des attestations des participants (même nom que dans src/serviceWorker.js)
+ */
+export const CERTIFICATE_CACHE = 'attestation-certificates';
+
+/**
+ * Clé du dernier lien d'attestation affiché (ouverture de l'application installée)
+ */
+export const LAST_ATTESTATION_STORAGE_KEY = 'last_attestation_url';
+
+/**
+ * Adresse (fictive) de l'aperçu conservé d'un PDF
+ *
+ * @param {string} pdfUrl - L'URL du PDF
+ * @returns {string} La clé de l'aperçu dans CERTIFICATE_CACHE
+ */
+function getPreviewKey(pdfUrl) {
+  return `/__attestations/apercu?pdf=${encodeURIComponent(pdfUrl)}`;
+}
+
+/**
+ * Indique si le Cache API est disponible (contexte sécurisé)
+ *
+ * @returns {boolean} true si les attestations peuvent être conservées
+ */
+function isCacheAvailable() {
+  return typeof caches !== 'undefined';
+}
+
+/**
+ * Enregistre le service worker (build de production uniquement)
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker non enregistré:', error);
+    });
+  });
+}
+
+/**
+ * Retient le lien de l'attestation affichée
+ *
+ * L'application installée s'ouvre sur "/" (start_url du manifeste) : la
+ * page y propose un lien vers la dernière attestation affichée.
+ *
+ * @param {string} url - Le lien complet de l'attestation
+ */
+export function rememberAttestationUrl(url) {
+  try {
+    localStorage.setItem(LAST_ATTESTATION_STORAGE_KEY, url);
+  } catch (error) {
+    console.warn('Impossible de retenir le lien de l\'attestation:', error);
+  }
+}
+
+/**
+ * Retourne le dernier lien d'attestation affiché sur cet appareil
+ *
+ * @returns {string|null} Le lien (même origine que la page), ou null
+ */
+export function getRememberedAttestationUrl() {
+  try {
+    const url = new URL(localStorage.getItem(LAST_ATTESTATION_STORAGE_KEY));
+    return url.origin === window.location.origin ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Conserve le PDF d'une attestation pour l'afficher hors ligne
+ *
+ * Le contenu est celui du document déjà chargé par PDF.js (y compris par
+ * le proxy) : le PDF n'est pas téléchargé de nouveau. Il est enregistré
+ * sans l'en-tête Accept-Ranges : hors ligne, PDF.js le lit en entier
+ * plutôt que par plages.
+ *
+ * @param {string} pdfUrl - L'URL du PDF (clé du cache)
+ * @param {Object} pdf - Le document PDF.js (PDFDocumentProxy)
+ */
+export async function cacheCertificatePdf(pdfUrl, pdf) {
+  if (!isCacheAvailable()) {
+    return;
+  }
+  try {
+    const data = await pdf.getData();
+    const cache = await caches.open(CERTIFICATE_CACHE);
+    await cache.put(pdfUrl, new Response(new Blob([data]), {
+      headers: { 'Content-Type': 'application/pdf' },
+    }));
+  } catch (error) {
+    console.warn('Impossible de conserver l\'attestation hors ligne:', error);
+  }
+}
+
+/**
+ * Conserve l'aperçu rendu d'une attestation (voir renderPdfToImage)
+ *
+ * @param {string} pdfUrl - L'URL du PDF
+ * @param {string} dataUrl - L'aperçu (data URL PNG)
+ */
+export async function cacheCertificatePreview(pdfUrl, dataUrl) {
+  if (!isCacheAvailable()) {
+    return;
+  }
+  try {
+    const blob = await (await fetch(dataUrl)).blob();
+    const cache = await caches.open(CERTIFICATE_CACHE);
+    await cache.put(getPreviewKey(pdfUrl), new Response(blob, {
+      headers: { 'Content-Type': blob.type || 'image/png' },
+    }));
+  } catch (error) {
+    console.warn('Impossible de conserver l\'aperçu hors ligne:', error);
+  }
+}
+
+/**
+ * Retourne l'aperçu conservé d'une attestation
+ *
+ * @param {string} pdfUrl - L'URL du PDF
+ * @returns {Promise<string|null>} L'URL (blob:) de l'aperçu, ou null s'il n'a pas été conservé
+ */
+export async function getCachedCertificatePreview(pdfUrl) {
+  if (!isCacheAvailable()) {
+    return null;
+  }
+  try {
+    const cache = await caches.open(CERTIFICATE_CACHE);
+    const response = await cache.match(getPreviewKey(pdfUrl));
+    return response ? URL.createObjectURL(await response.blob()) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Efface les attestations conservées sur l'appareil
+ */
+export async function clearCachedCertificates() {
+  if (!isCacheAvailable()) {
+    return;
+  }
+  try {
+    await caches.delete(CERTIFICATE_CACHE);
+  } catch (error) {
+    console.warn('Impossible d\'effacer les attestations conservées:', error);
+  }
+}
+
+/**
+ * Met en attente les actions LinkedIn demandées hors ligne
+ *
+ * Hors ligne, un clic sur un bouton LinkedIn n'ouvre rien (les autres
+ * écouteurs du bouton ne sont pas appelés) : l'action est ajoutée à la
+ * file et un avis l'indique. Au retour du réseau, l'avis propose de
+ * reprendre chaque action (un clic du participant est nécessaire pour
+ * ouvrir LinkedIn dans un nouvel onglet).
+ *
+ * À appeler après les écouteurs qui construisent l'URL du bouton, et
+ * avant ceux qui enregistrent l'étape comme terminée.
+ *
+ * @param {Object} elements - Les éléments de l'interface
+ * @param {HTMLElement} elements.notice - L'avis hors ligne
+ * @param {HTMLElement} elements.text - Le texte de l'avis
+ * @param {HTMLElement} elements.queue - Le conteneur des boutons "Continuer"
+ * @param {{button: HTMLAnchorElement, label: string}[]} elements.actions - Les boutons LinkedIn et leur libellé
+ */
+export function initializeOfflineActions({ notice, text, queue, actions }) {
+  const pending = new Set();
+
+  const render = () => {
+    const offline = !navigator.onLine;
+
+    if (offline) {
+      text.textContent = pending.size > 0 ? `${t('offline.notice')} ${t('offline.queued')}` : t('offline.notice');
+    } else {
+      text.textContent = t('offline.backOnline');
+    }
+
+    queue.replaceChildren(...(offline ? [] : actions.filter(({ button }) => pending.has(button)).map(({ button, label }) => {
+      const resume = document.createElement('button');
+      resume.type = 'button';
+      resume.className = 'secondary-button';
+      resume.textContent = t('offline.resume', { action: label });
+      resume.addEventListener('click', () => {
+        pending.delete(button);
+        render();
+        button.click();
+      });
+      return resume;
+    })));
+
+    notice.classList.toggle('hidden', !offline && pending.size === 0);
+  };
+
+  actions.forEach(({ button }) => {
+    button.addEventListener('click', (e) => {
+      if (navigator.onLine) {
+        return;
+      }
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      pending.add(button);
+      render();
+    });
+  });
+
+  window.addEventListener('online', render);
+  window.addEventListener('offline', render);
+  render();
+}
@@ -0,0 +1,94 @@
+/**
+ * Export de l'attestation au format Open Badges 3.0
+ *
+ * Produit un document JSON-LD "OpenBadgeCredential" (W3C Verifiable
+ * Credential) à partir des paramètres de l'attestation et de la
+ * configuration de l'organisation. Le document n'est pas signé : son
+ * identifiant pointe vers la page publique de vérification.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Contextes JSON-LD d'un OpenBadgeCredential (VC Data Model 1.1)
+ */
+export const OPEN_BADGE_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.1.json',
+];
+
+/**
+ * Construit la date d'émission à partir du mois et de l'année
+ *
+ * @param {string} mois - Le mois d'émission (1 à 12, optionnel)
+ * @param {string} annee - L'année d'émission (optionnel, défaut: date courante)
+ * @returns {string} La date au format ISO 8601 (ex: "2025-12-01T00:00:00Z")
+ */
+export function buildIssuanceDate(mois, annee) {
+  const year = parseInt(annee, 10);
+  if (!year) {
+    return `${new Date().toISOString().slice(0, 19)}Z`;
+  }
+  const month = Math.min(Math.max(parseInt(mois, 10) || 1, 1), 12);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-01T00:00:00Z`;
+}
+
+/**
+ * Construit le document OpenBadgeCredential d'une attestation
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {string} params.org - L'identifiant de l'organisation
+ * @param {string} params.formation - Le nom de la formation
+ * @param {string} params.certId - L'identifiant du certificat
+ * @param {string} params.mois - Le mois d'émission
+ * @param {string} params.annee - L'année d'émission
+ * @param {Object} config - La configuration de l'organisation
+ * @param {string} verificationUrl - L'URL publique de vérification (identifiant du document)
+ * @param {string} baseUrl - L'URL de base de l'application (pour les ressources de l'organisation)
+ * @returns {Object} Le document JSON-LD
+ */
+export function buildOpenBadgeCredential({ org, formation, certId, mois, annee }, config, verificationUrl, baseUrl) {
+  const issuer = {
+    id: config.websiteUrl || new URL(`#${org}`, baseUrl).toString(),
+    type: ['Profile'],
+    name: config.organizationName,
+  };
+
+  if (config.websiteUrl) {
+    issuer.url = config.websiteUrl;
+  }
+
+  if (config.logo) {
+    issuer.image = {
+      id: new URL(config.logo, baseUrl).toString(),
+      type: 'Image',
+    };
+  }
+
+  return {
+    '@context': OPEN_BADGE_CONTEXT,
+    id: verificationUrl,
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    issuer,
+    issuanceDate: buildIssuanceDate(mois, annee),
+    name: formation,
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [{
+        type: 'IdentityObject',
+        identityHash: certId,
+        identityType: 'identifier',
+        hashed: false,
+      }],
+      achievement: {
+        id: `urn:${encodeURIComponent(org)}:achievement:${encodeURIComponent(formation)}`,
+        type: ['Achievement'],
+        name: formation,
+        description: t('badge.description', { formation, organizationName: config.organizationName }),
+        criteria: {
+          narrative: t('badge.criteria', { formation }),
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * Proxy des PDF servis sans en-têtes CORS
+ *
+ * Lorsqu'un PDF ne peut pas être chargé directement par le navigateur
+ * (CORS), pdfRenderer.js le recharge par /api/pdf-proxy, servi par le
+ * serveur de développement Vite (vite.config.js) ou par la fonction
+ * serverless api/pdf-proxy.js. Le proxy ne télécharge que depuis les
+ * hôtes déclarés par l'organisation dans config.json :
+ *
+ *   "pdfProxy": { "allowedHosts": ["stockage.exemple.org", "*.blob.core.windows.net"] }
+ *
+ * et refuse les fichiers trop volumineux ou qui ne sont pas des PDF.
+ *
+ * Partagé entre la page (construction des URL) et le serveur (téléchargement).
+ */
+
+/**
+ * Chemin du proxy
+ */
+export const PDF_PROXY_PATH = '/api/pdf-proxy';
+
+/**
+ * Taille maximale d'un PDF relayé (en octets)
+ */
+export const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Types de contenu acceptés (les stockages servent souvent les PDF en octet-stream)
+ */
+const ACCEPTED_CONTENT_TYPES = ['application/pdf', 'application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Signature des fichiers PDF
+ */
+const PDF_SIGNATURE = '%PDF-';
+
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Erreur du proxy, avec le statut HTTP à renvoyer
+ */
+export class PdfProxyError extends Error {
+  /**
+   * @param {number} status - Le statut HTTP
+   * @param {string} message - Le message renvoyé au client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'PdfProxyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Construit l'URL du proxy pour un PDF
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {string} pdfUrl - L'URL du PDF
+ * @returns {string} L'URL du proxy (relative à l'application)
+ */
+export function buildPdfProxyUrl(orgId, pdfUrl) {
+  return `${PDF_PROXY_PATH}?${new URLSearchParams({ org: orgId, url: pdfUrl })}`;
+}
+
+/**
+ * Indique si un hôte figure dans la liste d'une organisation
+ *
+ * "*.exemple.org" accepte les sous-domaines de exemple.org (pas exemple.org lui-même).
+ *
+ * @param {string} hostname - L'hôte
+ * @param {string[]} allowedHosts - Les hôtes autorisés
+ * @returns {boolean} true si l'hôte est autorisé
+ */
+export function isHostAllowed(hostname, allowedHosts = []) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(pattern => {
+    const allowed = pattern.toLowerCase();
+    return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+  });
+}
+
+/**
+ * Indique si le proxy peut télécharger une URL (https, hôte autorisé)
+ *
+ * @param {string|URL} url - L'URL du PDF
+ * @param {string[]} allowedHosts - Les hôtes autorisés
+ * @returns {boolean} true si l'URL peut être relayée
+ */
+export function isPdfUrlAllowed(url, allowedHosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return parsed.protocol === 'https:'
+    && !parsed.username
+    && !parsed.password
+    && !parsed.port
+    && isHostAllowed(parsed.hostname, allowedHosts);
+}
+
+/**
+ * Lit le corps d'une réponse sans dépasser la taille maximale
+ *
+ * @param {Response} response - La réponse
+ * @returns {Promise<Uint8Array>} Le contenu
+ * @throws {PdfProxyError} Si le fichier dépasse MAX_PDF_BYTES
+ */
+async function readLimitedBody(response) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.length;
+    if (size > MAX_PDF_BYTES) {
+      await reader.cancel();
+      throw new PdfProxyError(413, 'PDF trop volumineux');
+    }
+    chunks.push(value);
+  }
+
+  const body = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return body;
+}
+
+/**
+ * Télécharge un PDF pour une organisation
+ *
+ * Chaque redirection est vérifiée contre la liste des hôtes autorisés.
+ *
+ * @param {Object} options - Les options
+ * @param {string} options.orgId - L'identifiant de l'organisation
+ * @param {string} options.url - L'URL du PDF
+ * @param {Object} options.configData - Le contenu de config.json
+ * @param {Function} options.fetchImpl - La fonction fetch (défaut: fetch global)
+ * @returns {Promise<Uint8Array>} Le contenu du PDF
+ * @throws {PdfProxyError} Si la demande est refusée ou si le PDF ne peut pas être téléchargé
+ */
+export async function fetchAllowedPdf({ orgId, url, configData, fetchImpl = fetch }) {
+  const allowedHosts = configData?.[orgId]?.pdfProxy?.allowedHosts;
+  if (!allowedHosts) {
+    throw new PdfProxyError(403, `Proxy PDF non activé pour l'organisation: ${orgId}`);
+  }
+
+  let currentUrl = url;
+  let response;
+
+  for (let redirects = 0; ; redirects++) {
+    if (!isPdfUrlAllowed(currentUrl, allowedHosts)) {
+      throw new PdfProxyError(403, `Hôte non autorisé pour ${orgId}: ${currentUrl}`);
+    }
+
+    try {
+      response = await fetchImpl(currentUrl, { redirect: 'manual', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    } catch (error) {
+      throw new PdfProxyError(502, `Serveur du PDF injoignable: ${error.message}`);
+    }
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new PdfProxyError(502, 'Trop de redirections');
+    }
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+
+  if (response.status === 404) {
+    throw new PdfProxyError(404, 'PDF introuvable');
+  }
+  if (!response.ok) {
+    throw new PdfProxyError(502, `Le serveur du PDF a répondu ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!ACCEPTED_CONTENT_TYPES.includes(contentType)) {
+    throw new PdfProxyError(415, `Type de contenu refusé: ${contentType || '(absent)'}`);
+  }
+
+  if (parseInt(response.headers.get('content-length'), 10) > MAX_PDF_BYTES) {
+    throw new PdfProxyError(413, 'PDF trop volumineux');
+  }
+
+  const body = await readLimitedBody(response);
+  if (new TextDecoder().decode(body.subarray(0, PDF_SIGNATURE.length)) !== PDF_SIGNATURE) {
+    throw new PdfProxyError(415, 'Le fichier n\'est pas un PDF');
+  }
+  return body;
+}
+
+/**
+ * Répond à une requête du proxy (serveur Node : Vite ou fonction serverless)
+ *
+ * @param {import('node:http').IncomingMessage} req - La requête (?org=...&url=...)
+ * @param {import('node:http').ServerResponse} res - La réponse
+ * @param {Object} configData - Le contenu de config.json
+ */
+export async function handlePdfProxyRequest(req, res, configData) {
+  if (req.method !== 'GET') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET');
+    res.end();
+    return;
+  }
+
+  const params = new URL(req.url, 'http://localhost').searchParams;
+
+  try {
+    const body = await fetchAllowedPdf({ orgId: params.get('org'), url: params.get('url'), configData });
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', body.length);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.end(body);
+  } catch (error) {
+    res.statusCode = error instanceof PdfProxyError ? error.status : 500;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(error instanceof PdfProxyError ? error.message : 'Erreur du proxy PDF');
+    if (!(error instanceof PdfProxyError)) {
+      console.error('Erreur du proxy PDF:', error);
+    }
+  }
+}
@@ -1,37 +1,201 @@
 /**
  * Module pour le rendu de PDF en image côté client
  * 
- * Utilise pdfjs-dist pour charger et rendre la première page d'un PDF
- * dans un canvas, puis convertit le canvas en image (data URL).
+ * Utilise pdfjs-dist pour charger un PDF et rendre ses pages dans un
+ * canvas (net sur les écrans haute densité), ou convertir la première
+ * page en image (data URL).
  * 
  * Note: Le PDF doit être servi avec des en-têtes CORS compatibles
- * pour que le chargement fonctionne depuis le navigateur.
+ * pour que le chargement fonctionne depuis le navigateur. Sinon, si
+ * l'organisation déclare l'hôte du PDF (voir configurePdfProxy), le PDF
+ * est rechargé par le proxy de l'application (src/pdfProxy.js).
  */
 
-import * as pdfjsLib from 'pdfjs-dist';
+// Worker PDF.js servi par l'application (même version que pdfjs-dist installé)
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { PdfUnavailableError } from './errors.js';
+import { buildPdfProxyUrl, isPdfUrlAllowed } from './pdfProxy.js';
 
-// Configuration du worker PDF.js
-// Utiliser le worker depuis un CDN pour éviter les problèmes de chemin
-pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+/**
+ * Délai maximal de démarrage du worker avant de basculer dans le thread principal
+ */
+const WORKER_START_TIMEOUT_MS = 5000;
+
+// Chargement paresseux de PDF.js (partagé entre tous les rendus)
+let pdfjsPromise = null;
+let mainThreadRendering = false;
+
+// Proxy de l'organisation affichée (voir configurePdfProxy)
+let pdfProxy = null;
 
 /**
- * Rend la première page d'un PDF dans un canvas et retourne l'image
+ * Charge PDF.js et démarre son worker au premier besoin
+ * 
+ * Si le worker ne peut pas démarrer (CSP, navigateur, réseau), le rendu
+ * se fait dans le thread principal.
+ * 
+ * @returns {Promise<Object>} Le module pdfjs-dist
+ */
+function getPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = (async () => {
+      const pdfjsLib = await import('pdfjs-dist');
+      pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+      
+      const worker = await startWorker(workerUrl);
+      if (worker) {
+        pdfjsLib.GlobalWorkerOptions.workerPort = worker;
+      } else {
+        // PDF.js utilise le gestionnaire exposé sur globalThis.pdfjsWorker
+        const workerModule = await import('pdfjs-dist/build/pdf.worker.js');
+        globalThis.pdfjsWorker = workerModule.WorkerMessageHandler ? workerModule : workerModule.default;
+        mainThreadRendering = true;
+        console.warn('Worker PDF.js indisponible, rendu dans le thread principal');
+      }
+      
+      return pdfjsLib;
+    })();
+    
+    // Permettre une nouvelle tentative si le chargement échoue
+    pdfjsPromise.catch(() => {
+      pdfjsPromise = null;
+    });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Crée le worker PDF.js
+ * 
+ * Un worker d'une autre origine que la page est refusé par le navigateur
+ * (composant intégré sur le site d'une organisation) : son script est
+ * alors chargé par importScripts depuis un script blob:.
+ * 
+ * @param {string} src - L'URL du script du worker
+ * @returns {Worker} Le worker
+ */
+function createWorker(src) {
+  const url = new URL(src, window.location.href);
+  if (url.protocol === 'data:' || url.origin === window.location.origin) {
+    return new Worker(url);
+  }
+  const wrapper = new Blob([`importScripts(${JSON.stringify(url.href)});`], { type: 'text/javascript' });
+  return new Worker(URL.createObjectURL(wrapper));
+}
+
+/**
+ * Démarre le worker PDF.js et attend son premier message
+ * 
+ * @param {string} src - L'URL du script du worker
+ * @returns {Promise<Worker|null>} Le worker prêt, ou null s'il n'a pas pu démarrer
+ */
+function startWorker(src) {
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = createWorker(src);
+    } catch (error) {
+      resolve(null);
+      return;
+    }
+    
+    const finish = (ready) => {
+      clearTimeout(timeout);
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      if (!ready) {
+        worker.terminate();
+      }
+      resolve(ready ? worker : null);
+    };
+    const onMessage = () => finish(true);
+    const onError = () => finish(false);
+    const timeout = setTimeout(() => finish(false), WORKER_START_TIMEOUT_MS);
+    
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+  });
+}
+
+/**
+ * Indique si le rendu se fait dans le thread principal (worker indisponible)
+ * 
+ * @returns {boolean} true si le worker n'a pas pu démarrer
+ */
+export function isMainThreadRendering() {
+  return mainThreadRendering;
+}
+
+/**
+ * Active le proxy PDF pour l'organisation affichée
+ * 
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {string[]} allowedHosts - Les hôtes relayés par le proxy (pdfProxy.allowedHosts de config.json)
+ */
+export function configurePdfProxy(orgId, allowedHosts) {
+  pdfProxy = allowedHosts?.length ? { orgId, allowedHosts } : null;
+}
+
+/**
+ * Indique si l'échec d'un chargement direct peut venir de CORS
+ * 
+ * Le navigateur ne donne pas la raison d'un refus CORS : PDF.js signale
+ * une erreur réseau (fetch) ou une réponse de statut 0 (XHR).
+ * 
+ * @param {Error} error - L'erreur de PDF.js
+ * @returns {boolean} true si le proxy peut être essayé
+ */
+function isCrossOriginFailure(error) {
+  return error?.name === 'UnknownErrorException'
+    || (error?.name === 'UnexpectedResponseException' && error.status === 0);
+}
+
+/**
+ * Ouvre un document PDF, en passant par le proxy si le chargement direct échoue sur CORS
  * 
  * @param {string} pdfUrl - L'URL du PDF à charger
- * @param {number} scale - Échelle de rendu (défaut: 1.5 pour une bonne qualité)
- * @returns {Promise<{dataUrl: string, width: number, height: number}>}
+ * @returns {Promise<Object>} Le document PDF.js (PDFDocumentProxy)
  */
-export async function renderPdfToImage(pdfUrl, scale = 1.5) {
+async function openPdfDocument(pdfUrl) {
+  const pdfjsLib = await getPdfjs();
+  
   try {
-    // Charger le document PDF
-    const loadingTask = pdfjsLib.getDocument({
+    return await pdfjsLib.getDocument({
       url: pdfUrl,
-      // Options pour gérer les CORS si nécessaire
       httpHeaders: {},
       withCredentials: false,
-    });
+    }).promise;
+  } catch (error) {
+    if (!pdfProxy || !isCrossOriginFailure(error) || !isPdfUrlAllowed(pdfUrl, pdfProxy.allowedHosts)) {
+      throw error;
+    }
     
-    const pdf = await loadingTask.promise;
+    console.warn('PDF inaccessible directement, nouvel essai par le proxy:', error);
+    try {
+      return await pdfjsLib.getDocument({ url: buildPdfProxyUrl(pdfProxy.orgId, pdfUrl) }).promise;
+    } catch (proxyError) {
+      console.error('Erreur du proxy PDF:', proxyError);
+      // Le proxy a joint le serveur du PDF : son 404 fait foi, sinon garder l'erreur d'origine
+      throw proxyError?.name === 'MissingPDFException' ? proxyError : error;
+    }
+  }
+}
+
+/**
+ * Rend la première page d'un PDF dans un canvas et retourne l'image
+ * 
+ * Un document déjà chargé (voir loadPdfDocument) est rendu sans nouveau
+ * téléchargement.
+ * 
+ * @param {string|Object|Promise<Object>} source - L'URL du PDF à charger, ou le document PDF.js (PDFDocumentProxy)
+ * @param {number} scale - Échelle de rendu (défaut: 1.5 pour une bonne qualité)
+ * @param {string} mimeType - Format de l'image (défaut: 'image/jpeg')
+ * @returns {Promise<{dataUrl: string, width: number, height: number}>}
+ */
+export async function renderPdfToImage(source, scale = 1.5, mimeType = 'image/jpeg') {
+  try {
+    // Charger le document PDF (sauf s'il l'est déjà)
+    const pdf = typeof source === 'string' ? await openPdfDocument(source) : await source;
     
     // Récupérer la première page
     const page = await pdf.getPage(1);
@@ -53,8 +217,8 @@ export async function renderPdfToImage(pdfUrl, scale = 1.5) {
     
     await page.render(renderContext).promise;
     
-    // Convertir le canvas en data URL (JPEG avec qualité 0.9)
-    const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+    // Convertir le canvas en data URL (qualité 0.9 pour le JPEG)
+    const dataUrl = canvas.toDataURL(mimeType, 0.9);
     
     return {
       dataUrl,
@@ -78,13 +242,7 @@ export async function renderPdfToImage(pdfUrl, scale = 1.5) {
 export async function renderPdfToCanvas(pdfUrl, canvas, scale = 1.5) {
   try {
     // Charger le document PDF
-    const loadingTask = pdfjsLib.getDocument({
-      url: pdfUrl,
-      httpHeaders: {},
-      withCredentials: false,
-    });
-    
-    const pdf = await loadingTask.promise;
+    const pdf = await openPdfDocument(pdfUrl);
     
     // Récupérer la première page
     const page = await pdf.getPage(1);
@@ -110,3 +268,68 @@ export async function renderPdfToCanvas(pdfUrl, canvas, scale = 1.5) {
   }
 }
 
+
+/**
+ * Erreurs de PDF.js signalant une réponse HTTP en erreur (404, 500...)
+ */
+const HTTP_ERROR_NAMES = ['MissingPDFException', 'UnexpectedResponseException'];
+
+/**
+ * Charge un document PDF
+ * 
+ * @param {string} pdfUrl - L'URL du PDF à charger
+ * @returns {Promise<Object>} Le document PDF.js (PDFDocumentProxy)
+ * @throws {PdfUnavailableError} Si le serveur du PDF répond par une erreur
+ */
+export async function loadPdfDocument(pdfUrl) {
+  try {
+    return await openPdfDocument(pdfUrl);
+  } catch (error) {
+    // Les autres erreurs (CORS, PDF corrompu) laissent le lien direct utilisable
+    if (HTTP_ERROR_NAMES.includes(error?.name)) {
+      throw new PdfUnavailableError(pdfUrl, error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Calcule l'échelle permettant d'ajuster une page à une largeur donnée
+ * 
+ * @param {Object} page - La page PDF.js (PDFPageProxy)
+ * @param {number} width - La largeur disponible en pixels CSS
+ * @returns {number} L'échelle d'ajustement
+ */
+export function getFitWidthScale(page, width) {
+  const viewport = page.getViewport({ scale: 1 });
+  return width / viewport.width;
+}
+
+/**
+ * Rend une page dans un canvas en tenant compte de la densité de l'écran
+ * 
+ * Le canvas est dimensionné en pixels physiques (devicePixelRatio) et
+ * affiché à sa taille en pixels CSS, pour un rendu net sur les écrans
+ * haute densité.
+ * 
+ * @param {Object} page - La page PDF.js (PDFPageProxy)
+ * @param {HTMLCanvasElement} canvas - Le canvas où rendre la page
+ * @param {number} scale - Échelle de rendu en pixels CSS
+ * @returns {Object} La tâche de rendu PDF.js (annulable via cancel())
+ */
+export function renderPageToCanvas(page, canvas, scale) {
+  const outputScale = window.devicePixelRatio || 1;
+  const viewport = page.getViewport({ scale });
+  const context = canvas.getContext('2d');
+  
+  canvas.width = Math.floor(viewport.width * outputScale);
+  canvas.height = Math.floor(viewport.height * outputScale);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+  
+  return page.render({
+    canvasContext: context,
+    viewport: viewport,
+    transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Visionneuse PDF de l'aperçu de l'attestation
+ *
+ * Gère la navigation entre les pages (précédente/suivante, miniatures,
+ * indicateur de page), le zoom et l'ajustement à la largeur. La page est
+ * rendue à nouveau lors d'un redimensionnement ou d'un changement de
+ * densité d'écran.
+ */
+
+import { getFitWidthScale, renderPageToCanvas } from './pdfRenderer.js';
+import { t } from './i18n.js';
+
+/**
+ * Facteurs de zoom disponibles, relatifs à l'ajustement à la largeur
+ */
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+/**
+ * Largeur des miniatures en pixels CSS
+ */
+const THUMBNAIL_WIDTH = 72;
+
+/**
+ * Crée la visionneuse pour un document PDF déjà chargé
+ *
+ * @param {Object} pdf - Le document PDF.js (PDFDocumentProxy)
+ * @param {Object} elements - Les éléments de l'interface
+ * @param {HTMLCanvasElement} elements.canvas - Le canvas de la page courante
+ * @param {HTMLElement} elements.container - Le conteneur dont la largeur sert à l'ajustement
+ * @param {HTMLElement} elements.toolbar - La barre d'outils
+ * @param {HTMLButtonElement} elements.prevButton - Bouton "page précédente"
+ * @param {HTMLButtonElement} elements.nextButton - Bouton "page suivante"
+ * @param {HTMLElement} elements.pageIndicator - L'indicateur "page / total"
+ * @param {HTMLButtonElement} elements.zoomInButton - Bouton "zoom avant"
+ * @param {HTMLButtonElement} elements.zoomOutButton - Bouton "zoom arrière"
+ * @param {HTMLButtonElement} elements.fitWidthButton - Bouton "ajuster à la largeur"
+ * @param {HTMLElement} elements.thumbnails - Le conteneur des miniatures
+ * @returns {Promise<{goToPage: Function, render: Function}>} La visionneuse
+ */
+export async function createPdfViewer(pdf, elements) {
+  const {
+    canvas,
+    container,
+    toolbar,
+    prevButton,
+    nextButton,
+    pageIndicator,
+    zoomInButton,
+    zoomOutButton,
+    fitWidthButton,
+    thumbnails,
+  } = elements;
+
+  const pageCount = pdf.numPages;
+  let currentPage = 1;
+  let zoomIndex = ZOOM_LEVELS.indexOf(1);
+  let renderTask = null;
+  let lastWidth = 0;
+  let lastPixelRatio = window.devicePixelRatio || 1;
+
+  /**
+   * Rend la page courante au niveau de zoom courant
+   */
+  const render = async () => {
+    const page = await pdf.getPage(currentPage);
+    const width = container.clientWidth;
+    const scale = getFitWidthScale(page, width) * ZOOM_LEVELS[zoomIndex];
+
+    // Annuler un rendu en cours sur le même canvas
+    if (renderTask) {
+      renderTask.cancel();
+    }
+
+    renderTask = renderPageToCanvas(page, canvas, scale);
+    lastWidth = width;
+    lastPixelRatio = window.devicePixelRatio || 1;
+
+    try {
+      await renderTask.promise;
+    } catch (error) {
+      if (error?.name !== 'RenderingCancelledException') {
+        throw error;
+      }
+    }
+
+    updateControls();
+  };
+
+  /**
+   * Met à jour l'état des boutons et de l'indicateur de page
+   */
+  const updateControls = () => {
+    pageIndicator.textContent = `${currentPage} / ${pageCount}`;
+    prevButton.disabled = currentPage <= 1;
+    nextButton.disabled = currentPage >= pageCount;
+    zoomOutButton.disabled = zoomIndex <= 0;
+    zoomInButton.disabled = zoomIndex >= ZOOM_LEVELS.length - 1;
+    fitWidthButton.disabled = ZOOM_LEVELS[zoomIndex] === 1;
+    container.classList.toggle('pdf-zoomed', ZOOM_LEVELS[zoomIndex] > 1);
+
+    thumbnails.querySelectorAll('.pdf-thumbnail').forEach((thumbnail, index) => {
+      const isCurrent = index + 1 === currentPage;
+      thumbnail.classList.toggle('pdf-thumbnail-active', isCurrent);
+      thumbnail.setAttribute('aria-current', isCurrent ? 'page' : 'false');
+    });
+  };
+
+  /**
+   * Affiche une page donnée
+   *
+   * @param {number} pageNumber - Le numéro de page (à partir de 1)
+   */
+  const goToPage = async (pageNumber) => {
+    currentPage = Math.min(Math.max(pageNumber, 1), pageCount);
+    await render();
+  };
+
+  /**
+   * Change le niveau de zoom
+   *
+   * @param {number} index - L'index dans ZOOM_LEVELS
+   */
+  const setZoom = async (index) => {
+    zoomIndex = Math.min(Math.max(index, 0), ZOOM_LEVELS.length - 1);
+    await render();
+  };
+
+  const logRenderError = error => console.error('Erreur lors du rendu de la page:', error);
+
+  prevButton.addEventListener('click', () => goToPage(currentPage - 1).catch(logRenderError));
+  nextButton.addEventListener('click', () => goToPage(currentPage + 1).catch(logRenderError));
+  zoomInButton.addEventListener('click', () => setZoom(zoomIndex + 1).catch(logRenderError));
+  zoomOutButton.addEventListener('click', () => setZoom(zoomIndex - 1).catch(logRenderError));
+  fitWidthButton.addEventListener('click', () => setZoom(ZOOM_LEVELS.indexOf(1)).catch(logRenderError));
+
+  // Rendre à nouveau lors d'un redimensionnement ou d'un changement de densité
+  let resizeTimeout = null;
+  const scheduleRender = () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      const pixelRatio = window.devicePixelRatio || 1;
+      if (container.clientWidth !== lastWidth || pixelRatio !== lastPixelRatio) {
+        render().catch(logRenderError);
+      }
+    }, 150);
+  };
+  window.addEventListener('resize', scheduleRender);
+
+  // Le déplacement de la fenêtre vers un écran d'une autre densité ne
+  // déclenche pas toujours "resize" : suivre la densité courante, puis la
+  // nouvelle après chaque changement
+  const watchPixelRatio = () => {
+    window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+      .addEventListener('change', () => {
+        scheduleRender();
+        watchPixelRatio();
+      }, { once: true });
+  };
+  watchPixelRatio();
+
+  // La navigation entre les pages n'est utile que pour les documents multipages
+  toolbar.classList.toggle('pdf-single-page', pageCount === 1);
+  toolbar.classList.remove('hidden');
+
+  await render();
+
+  if (pageCount > 1) {
+    await renderThumbnails(pdf, thumbnails, goToPage);
+    thumbnails.classList.remove('hidden');
+    updateControls();
+  }
+
+  return { goToPage, render };
+}
+
+/**
+ * Rend la bande de miniatures de toutes les pages
+ *
+ * @param {Object} pdf - Le document PDF.js
+ * @param {HTMLElement} thumbnails - Le conteneur des miniatures
+ * @param {Function} goToPage - Fonction d'affichage d'une page
+ * @returns {Promise<void>}
+ */
+async function renderThumbnails(pdf, thumbnails, goToPage) {
+  thumbnails.innerHTML = '';
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const button = document.createElement('button');
+    const thumbnailCanvas = document.createElement('canvas');
+
+    button.type = 'button';
+    button.className = 'pdf-thumbnail';
+    button.setAttribute('aria-label', t('pdf.page', { page: pageNumber }));
+    button.appendChild(thumbnailCanvas);
+    button.addEventListener('click', () => {
+      goToPage(pageNumber).catch(error => console.error('Erreur lors du rendu de la page:', error));
+    });
+    thumbnails.appendChild(button);
+
+    await renderPageToCanvas(page, thumbnailCanvas, getFitWidthScale(page, THUMBNAIL_WIDTH)).promise;
+  }
+}
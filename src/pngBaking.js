@@ -0,0 +1,100 @@
+/**
+ * "Cuisson" (baking) d'un Open Badge dans une image PNG
+ *
+ * Selon la spécification Open Badges 3.0, le document JSON est inséré
+ * dans un bloc iTXt dont le mot-clé est "openbadgecredential", placé
+ * avant le bloc IEND de l'image.
+ */
+
+/**
+ * Mot-clé du bloc iTXt défini par Open Badges 3.0
+ */
+export const OPEN_BADGE_PNG_KEYWORD = 'openbadgecredential';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+/**
+ * Calcule le CRC-32 d'une suite d'octets (tel que défini par la norme PNG)
+ *
+ * @param {Uint8Array} bytes - Les octets
+ * @returns {number} Le CRC-32 non signé
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Construit un bloc iTXt non compressé
+ *
+ * @param {string} keyword - Le mot-clé (latin-1, 1 à 79 caractères)
+ * @param {string} text - Le texte (UTF-8)
+ * @returns {Uint8Array} Le bloc complet (longueur, type, données, CRC)
+ */
+function buildITXtChunk(keyword, text) {
+  const encoder = new TextEncoder();
+  const keywordBytes = encoder.encode(keyword);
+  const textBytes = encoder.encode(text);
+
+  // mot-clé \0, indicateur de compression, méthode, langue \0, mot-clé traduit \0, texte
+  const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+  data.set(keywordBytes, 0);
+  data.set(textBytes, keywordBytes.length + 5);
+
+  const typeAndData = new Uint8Array(4 + data.length);
+  typeAndData.set(encoder.encode('iTXt'), 0);
+  typeAndData.set(data, 4);
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + data.length, crc32(typeAndData));
+
+  return chunk;
+}
+
+/**
+ * Insère un Open Badge dans une image PNG
+ *
+ * @param {Uint8Array} pngBytes - L'image PNG d'origine
+ * @param {Object} credential - Le document OpenBadgeCredential
+ * @returns {Uint8Array} L'image PNG contenant le badge
+ * @throws {Error} Si l'image n'est pas un PNG valide
+ */
+export function bakeOpenBadgePng(pngBytes, credential) {
+  if (!PNG_SIGNATURE.every((byte, index) => pngBytes[index] === byte)) {
+    throw new Error('L\'image n\'est pas un PNG valide');
+  }
+
+  // Localiser le bloc IEND (toujours le dernier bloc)
+  const iendOffset = pngBytes.length - 12;
+  const iendType = String.fromCharCode(...pngBytes.slice(iendOffset + 4, iendOffset + 8));
+  if (iendType !== 'IEND') {
+    throw new Error('Bloc IEND introuvable dans l\'image PNG');
+  }
+
+  const chunk = buildITXtChunk(OPEN_BADGE_PNG_KEYWORD, JSON.stringify(credential));
+  const baked = new Uint8Array(pngBytes.length + chunk.length);
+  baked.set(pngBytes.slice(0, iendOffset), 0);
+  baked.set(chunk, iendOffset);
+  baked.set(pngBytes.slice(iendOffset), iendOffset + chunk.length);
+
+  return baked;
+}
@@ -0,0 +1,78 @@
+/**
+ * Aperçu de la publication LinkedIn (étape 2)
+ *
+ * Reproduit l'affichage d'une publication dans le fil LinkedIn : sauts de
+ * ligne conservés, liens et hashtags mis en évidence, et texte replié
+ * après les premières lignes ("… voir plus").
+ *
+ * Le texte est inséré en nœuds texte : le message du participant n'est
+ * jamais interprété comme du HTML.
+ */
+
+/**
+ * Longueur et nombre de lignes affichés avant "… voir plus" dans le fil
+ */
+export const PREVIEW_FOLD_LENGTH = 210;
+export const PREVIEW_FOLD_LINES = 3;
+
+const TOKEN_PATTERN = /(https?:\/\/\S+|#[\p{L}\p{N}_]+)/u;
+
+/**
+ * Position à laquelle LinkedIn replie le texte
+ *
+ * @param {string} text - Le texte de la publication
+ * @returns {number|null} La position, ou null si le texte est affiché en entier
+ */
+export function getFoldPosition(text) {
+  let position = Math.min(text.length, PREVIEW_FOLD_LENGTH);
+
+  let lineEnd = -1;
+  for (let line = 0; line < PREVIEW_FOLD_LINES; line++) {
+    lineEnd = text.indexOf('\n', lineEnd + 1);
+    if (lineEnd === -1) {
+      break;
+    }
+  }
+  if (lineEnd !== -1) {
+    position = Math.min(position, lineEnd);
+  }
+
+  return position < text.trimEnd().length ? position : null;
+}
+
+/**
+ * Crée les nœuds d'un texte, avec les liens et hashtags mis en évidence
+ *
+ * @param {string} text - Le texte
+ * @returns {Node[]} Les nœuds
+ */
+function createTextNodes(text) {
+  // split() place les liens et hashtags (parties capturées) aux positions impaires
+  return text.split(TOKEN_PATTERN).map((part, index) => {
+    if (!part) {
+      return null;
+    }
+    if (index % 2 === 0) {
+      return document.createTextNode(part);
+    }
+    const token = document.createElement('span');
+    token.className = 'post-preview-token';
+    token.textContent = part;
+    return token;
+  }).filter(Boolean);
+}
+
+/**
+ * Affiche le texte de la publication
+ *
+ * @param {HTMLElement} container - L'élément du texte
+ * @param {string} text - Le texte de la publication
+ * @param {boolean} expanded - true pour afficher le texte en entier
+ * @returns {boolean} true si le texte est replié
+ */
+export function renderPostPreview(container, text, expanded = false) {
+  const fold = expanded ? null : getFoldPosition(text);
+  const visible = fold === null ? text : `${text.slice(0, fold).trimEnd()}…`;
+  container.replaceChildren(...createTextNodes(visible));
+  return fold !== null;
+}
@@ -0,0 +1,243 @@
+/**
+ * Consentement et données conservées sur l'appareil
+ *
+ * La page conserve dans le localStorage l'état des étapes de partage de
+ * chaque attestation (`cert_completion_<certId>`), une copie des liens
+ * courts résolus (`short_link_<id>`) et le dernier lien affiché, et dans
+ * le Cache API une copie des attestations pour la consultation hors ligne
+ * (src/offline.js). Une bannière décrit ces données et
+ * demande le consentement du visiteur :
+ * - accepter : l'état des étapes est conservé et la mesure d'audience
+ *   (src/analytics.js) est activée;
+ * - refuser : les données existantes sont effacées, plus rien n'est
+ *   conservé ni mesuré.
+ * Tant que le visiteur n'a pas décidé, rien n'est conservé.
+ *
+ * L'aperçu du générateur de liens ouvre la page avec `preview=1` : rien
+ * n'y est conservé ni mesuré, quel que soit le consentement.
+ *
+ * Chaque organisation fixe la durée de conservation dans config.json :
+ *
+ *   "privacy": { "retentionDays": 90 }
+ *
+ * Les entrées plus anciennes sont supprimées au démarrage de la page.
+ */
+
+import { setAnalyticsConsent, hasAnalyticsTransport } from './analytics.js';
+import { COMPLETION_STORAGE_PREFIX, migrateCompletionState, getLastActivity } from './completionState.js';
+import { LAST_ATTESTATION_STORAGE_KEY, clearCachedCertificates } from './offline.js';
+import { t } from './i18n.js';
+
+/**
+ * Préfixe des liens courts conservés (voir src/shortLinks.js)
+ */
+export const SHORT_LINK_STORAGE_PREFIX = 'short_link_';
+
+/**
+ * Durée de conservation par défaut des états de complétion (en jours)
+ */
+export const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * Clé de la décision de consentement
+ */
+const CONSENT_STORAGE_KEY = 'privacy_consent';
+
+/**
+ * Paramètre d'URL de l'aperçu du générateur de liens (voir src/builder.js)
+ */
+export const PREVIEW_PARAM = 'preview';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Liste les clés du localStorage qui commencent par un préfixe
+ *
+ * @param {string} prefix - Le préfixe
+ * @returns {string[]} Les clés (vide si le localStorage est indisponible)
+ */
+function listStorageKeys(prefix) {
+  try {
+    return Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index))
+      .filter(key => key?.startsWith(prefix));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Supprime des clés du localStorage (ignoré s'il est indisponible)
+ *
+ * @param {string[]} keys - Les clés à supprimer
+ */
+function removeStorageKeys(keys) {
+  try {
+    keys.forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Impossible d\'effacer les données locales:', error);
+  }
+}
+
+/**
+ * Retourne la décision de consentement du visiteur
+ *
+ * @returns {boolean|null} true (accepté), false (refusé) ou null (pas encore de décision)
+ */
+export function getConsent() {
+  try {
+    const record = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    return typeof record?.granted === 'boolean' ? record.granted : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Indique si la page est affichée comme aperçu du générateur de liens
+ *
+ * @returns {boolean} true si l'URL porte `preview=1`
+ */
+export function isPreviewMode() {
+  return new URLSearchParams(window.location.search).get(PREVIEW_PARAM) === '1';
+}
+
+/**
+ * Indique si la page peut conserver des données sur l'appareil
+ *
+ * @returns {boolean} true seulement si le visiteur a accepté, hors aperçu
+ */
+export function isStorageAllowed() {
+  return !isPreviewMode() && getConsent() === true;
+}
+
+/**
+ * Enregistre la décision de consentement du visiteur
+ *
+ * Un refus efface les données déjà conservées et désactive la mesure
+ * d'audience; la décision elle-même est conservée pour ne pas redemander.
+ *
+ * @param {boolean} granted - true si le visiteur accepte
+ */
+export function setConsent(granted) {
+  if (!granted) {
+    forgetDeviceData();
+  }
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({ granted: Boolean(granted), timestamp: Date.now() }));
+  } catch (error) {
+    console.warn('Impossible de conserver le consentement:', error);
+  }
+  setAnalyticsConsent(granted);
+}
+
+/**
+ * Efface toutes les données de la page sur cet appareil
+ *
+ * États de complétion, liens courts conservés, dernier lien affiché,
+ * attestations conservées hors ligne et décision de consentement (la
+ * bannière est de nouveau proposée). La mesure d'audience reste
+ * désactivée jusqu'à la fin de la visite.
+ */
+export function forgetDeviceData() {
+  removeStorageKeys([
+    ...listStorageKeys(COMPLETION_STORAGE_PREFIX),
+    ...listStorageKeys(SHORT_LINK_STORAGE_PREFIX),
+    LAST_ATTESTATION_STORAGE_KEY,
+    CONSENT_STORAGE_KEY,
+  ]);
+  clearCachedCertificates();
+  setAnalyticsConsent(false);
+}
+
+/**
+ * Retourne la durée de conservation d'une organisation
+ *
+ * @param {Object} config - La configuration de l'organisation (optionnel)
+ * @returns {number} La durée en jours
+ */
+export function getRetentionDays(config) {
+  return config?.privacy?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Supprime les états de complétion expirés
+ *
+ * Un état est expiré lorsque sa dernière étape dépasse la durée de
+ * conservation de son organisation. Les états illisibles ou sans date
+ * sont également supprimés.
+ *
+ * @param {function(string|undefined): number} getRetention - Retourne la durée de conservation (en jours) d'une organisation
+ * @returns {number} Le nombre d'états supprimés
+ */
+export function cleanupCompletionState(getRetention) {
+  const now = Date.now();
+
+  const expiredKeys = listStorageKeys(COMPLETION_STORAGE_PREFIX).filter(key => {
+    let state;
+    try {
+      state = migrateCompletionState(JSON.parse(localStorage.getItem(key)));
+    } catch (error) {
+      return true;
+    }
+    const lastActivity = getLastActivity(state);
+    return lastActivity === null || now - lastActivity > getRetention(state.org) * DAY_IN_MS;
+  });
+
+  removeStorageKeys(expiredKeys);
+  return expiredKeys.length;
+}
+
+/**
+ * Initialise la bannière de consentement et le lien "Confidentialité"
+ *
+ * La bannière est affichée tant que le visiteur n'a pas accepté ou refusé.
+ * Elle mentionne la mesure d'audience seulement si l'organisation en a une.
+ *
+ * @param {Object} config - La configuration de l'organisation
+ * @param {Object} elements - Les éléments de l'interface
+ * @param {HTMLElement} elements.banner - La bannière
+ * @param {HTMLElement} elements.text - Le texte de la bannière
+ * @param {HTMLButtonElement} elements.acceptButton - Le bouton "Accepter"
+ * @param {HTMLButtonElement} elements.declineButton - Le bouton "Refuser"
+ * @param {HTMLButtonElement} elements.forgetButton - Le bouton "Oublier mes données"
+ * @param {HTMLElement} elements.status - Le message de confirmation de l'effacement
+ * @param {HTMLButtonElement} elements.settingsButton - Le lien qui rouvre la bannière
+ */
+export function initializePrivacyBanner(config, { banner, text, acceptButton, declineButton, forgetButton, status, settingsButton }) {
+  const consent = getConsent();
+  if (consent !== null) {
+    setAnalyticsConsent(consent);
+  }
+
+  text.textContent = [
+    t('privacy.storage', { days: getRetentionDays(config) }),
+    hasAnalyticsTransport(config.analytics) ? t('privacy.analytics') : null,
+  ].filter(Boolean).join(' ');
+
+  const showBanner = () => {
+    status.classList.add('hidden');
+    banner.classList.remove('hidden');
+  };
+  const hideBanner = () => banner.classList.add('hidden');
+
+  banner.classList.toggle('hidden', consent !== null);
+  settingsButton.classList.remove('hidden');
+
+  acceptButton.addEventListener('click', () => {
+    setConsent(true);
+    hideBanner();
+  });
+
+  declineButton.addEventListener('click', () => {
+    setConsent(false);
+    hideBanner();
+  });
+
+  forgetButton.addEventListener('click', () => {
+    forgetDeviceData();
+    status.textContent = t('privacy.forgotten');
+    status.classList.remove('hidden');
+  });
+
+  settingsButton.addEventListener('click', showBanner);
+}
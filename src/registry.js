@@ -0,0 +1,71 @@
+/**
+ * Accès au registre public des attestations émises
+ *
+ * Chaque organisation publie un manifeste statique `/registry/<org>.json`
+ * généré par l'outil de génération des liens :
+ *
+ *   { "certificates": { "<certId>": { "prenom", "formation", "mois", "annee" } } }
+ *
+ * Les révocations sont publiées séparément (voir revocations.js).
+ */
+
+/**
+ * Dossier public des manifestes
+ */
+export const REGISTRY_BASE_URL = '/registry';
+
+/**
+ * Charge le manifeste d'une organisation
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {Promise<Object|null>} Le manifeste, ou null s'il n'existe pas
+ */
+export async function fetchRegistry(orgId) {
+  const response = await fetch(`${REGISTRY_BASE_URL}/${encodeURIComponent(orgId)}.json`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Erreur de chargement du registre ${orgId}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Recherche un certificat dans les registres
+ *
+ * Si l'organisation est connue, seul son registre est consulté; sinon
+ * tous les registres des organisations de la configuration le sont.
+ *
+ * @param {string} certId - L'identifiant du certificat
+ * @param {Object} configData - Le contenu complet de config.json
+ * @param {string} orgId - L'identifiant de l'organisation (optionnel)
+ * @returns {Promise<{orgId: string, certificate: Object}|null>} Le certificat trouvé, ou null
+ */
+export async function findCertificate(certId, configData, orgId) {
+  const orgIds = orgId && Object.hasOwn(configData, orgId) ? [orgId] : Object.keys(configData);
+
+  for (const id of orgIds) {
+    const certificates = (await fetchRegistry(id))?.certificates;
+    // Seules les clés propres du manifeste (pas "toString", "__proto__"...)
+    if (certificates && Object.hasOwn(certificates, certId)) {
+      return { orgId: id, certificate: certificates[certId] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Détermine le statut d'un certificat du registre
+ *
+ * @param {Object|null} certificate - L'entrée du registre (null si introuvable)
+ * @param {Object|null} revocation - L'entrée de la liste de révocation (null si absente)
+ * @returns {'valid'|'revoked'|'unknown'} Le statut
+ */
+export function getCertificateStatus(certificate, revocation) {
+  if (revocation) {
+    return 'revoked';
+  }
+  return certificate ? 'valid' : 'unknown';
+}
@@ -0,0 +1,55 @@
+/**
+ * Liste de révocation des attestations
+ *
+ * Le fichier statique `/revocations.json`, servi à côté de config.json,
+ * contient pour chaque organisation les certificats retirés :
+ *
+ *   { "<org>": { "<certId>": { "date": "2025-11-03", "reason": "..." } } }
+ */
+
+/**
+ * URL de la liste de révocation servie par l'application
+ */
+export const REVOCATIONS_URL = '/revocations.json';
+
+/**
+ * Charge la liste de révocation d'une organisation
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {string} baseUrl - L'URL de l'application (défaut: celle de la page)
+ * @returns {Promise<Object>} Les révocations indexées par certId (vide si aucune)
+ * @throws {Error} Si le fichier ne peut pas être chargé
+ */
+export async function fetchRevocations(orgId, baseUrl) {
+  const response = await fetch(baseUrl ? new URL(REVOCATIONS_URL, baseUrl) : REVOCATIONS_URL);
+  if (response.status === 404) {
+    return {};
+  }
+  if (!response.ok) {
+    throw new Error(`Erreur de chargement de la liste de révocation: ${response.status}`);
+  }
+  const revocations = await response.json();
+  return Object.hasOwn(revocations, orgId) ? revocations[orgId] : {};
+}
+
+/**
+ * Recherche la révocation d'un certificat
+ *
+ * En cas d'erreur de chargement, le certificat est considéré comme non révoqué
+ * afin de ne pas bloquer la page.
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @param {string} certId - L'identifiant du certificat
+ * @param {string} baseUrl - L'URL de l'application (défaut: celle de la page)
+ * @returns {Promise<{date: string, reason: string}|null>} La révocation, ou null
+ */
+export async function findRevocation(orgId, certId, baseUrl) {
+  try {
+    const revocations = await fetchRevocations(orgId, baseUrl);
+    // Seules les clés propres de la liste (pas "toString", "constructor"...)
+    return Object.hasOwn(revocations, certId) ? revocations[certId] : null;
+  } catch (error) {
+    console.warn('Liste de révocation indisponible:', error);
+    return null;
+  }
+}
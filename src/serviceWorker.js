@@ -0,0 +1,137 @@
+/**
+ * Service worker de l'application (émis sous /sw.js par vite.config.js)
+ *
+ * - Coquille de l'application (pages, scripts, styles, images de
+ *   public/assets) : mise en cache à l'installation, servie hors ligne;
+ * - config.json, révocations, registres et liens courts : réseau d'abord,
+ *   dernière copie obtenue si le réseau échoue;
+ * - PDF des participants : la page les conserve dans CERTIFICATE_CACHE
+ *   après le premier affichage (src/offline.js); ils sont servis depuis ce
+ *   cache lorsque le réseau échoue.
+ *
+ * __PRECACHE_URLS__ et __CACHE_VERSION__ sont remplacés au build.
+ */
+
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+const SHELL_CACHE_PREFIX = 'attestation-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${__CACHE_VERSION__}`;
+const DATA_CACHE = 'attestation-data';
+
+// Même nom que dans src/offline.js
+const CERTIFICATE_CACHE = 'attestation-certificates';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Supprimer la coquille des versions précédentes
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+/**
+ * Réseau d'abord : la réponse est conservée, et la copie en cache est
+ * servie si le réseau échoue
+ *
+ * @param {Request} request - La requête
+ * @returns {Promise<Response>} La réponse
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cache d'abord : les fichiers de la coquille, puis le réseau
+ *
+ * @param {Request} request - La requête
+ * @returns {Promise<Response>} La réponse
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+}
+
+/**
+ * Pages : réseau d'abord, page de la coquille hors ligne
+ *
+ * La réponse n'est pas conservée : l'URL contient les paramètres de
+ * l'attestation.
+ *
+ * @param {Request} request - La requête de navigation
+ * @param {string} shellPage - La page de la coquille (/index.html ou /verify.html)
+ * @returns {Promise<Response>} La réponse
+ */
+async function navigate(request, shellPage) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(shellPage);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Autres origines (PDF des participants) : réseau d'abord, copie conservée
+ * par la page si le réseau échoue
+ *
+ * @param {Request} request - La requête
+ * @returns {Promise<Response>} La réponse
+ */
+async function certificateFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(CERTIFICATE_CACHE);
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    event.respondWith(certificateFallback(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(navigate(request, url.pathname.startsWith('/verify') ? '/verify.html' : '/index.html'));
+  } else if (url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
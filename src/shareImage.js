@@ -0,0 +1,184 @@
+/**
+ * Génération de l'image de partage personnalisée
+ *
+ * Compose, dans un canvas au format recommandé par LinkedIn (1200 × 627),
+ * la miniature de l'attestation du participant, le titre de la formation
+ * et le logo de l'organisation.
+ */
+
+import { t } from './i18n.js';
+import { resolveTheme } from './theme.js';
+
+/**
+ * Dimensions de l'image de partage
+ */
+export const SHARE_IMAGE_WIDTH = 1200;
+export const SHARE_IMAGE_HEIGHT = 627;
+
+const PADDING = 48;
+
+/**
+ * Charge une image
+ *
+ * @param {string} src - L'URL (ou data URL) de l'image
+ * @returns {Promise<HTMLImageElement>} L'image chargée
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Impossible de charger l'image: ${src}`));
+    image.src = src;
+  });
+}
+
+/**
+ * Découpe un texte en lignes tenant dans une largeur donnée
+ *
+ * @param {CanvasRenderingContext2D} context - Le contexte (police déjà définie)
+ * @param {string} text - Le texte à découper
+ * @param {number} maxWidth - La largeur maximale d'une ligne
+ * @param {number} maxLines - Le nombre maximal de lignes (la dernière est tronquée)
+ * @returns {string[]} Les lignes
+ */
+function wrapText(context, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+
+  text.split(/\s+/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (context.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last && context.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    kept[maxLines - 1] = `${last.trimEnd()}…`;
+    return kept;
+  }
+
+  return lines;
+}
+
+/**
+ * Dessine une image centrée dans une zone en conservant ses proportions
+ *
+ * @param {CanvasRenderingContext2D} context - Le contexte
+ * @param {HTMLImageElement} image - L'image
+ * @param {number} x - Abscisse de la zone
+ * @param {number} y - Ordonnée de la zone
+ * @param {number} width - Largeur de la zone
+ * @param {number} height - Hauteur de la zone
+ */
+function drawContained(context, image, x, y, width, height) {
+  const ratio = Math.min(width / image.naturalWidth, height / image.naturalHeight);
+  const drawWidth = image.naturalWidth * ratio;
+  const drawHeight = image.naturalHeight * ratio;
+
+  context.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Compose l'image de partage d'un participant
+ *
+ * @param {Object} params - Le contenu de l'image
+ * @param {string} params.certificateDataUrl - L'aperçu de l'attestation (voir renderPdfToImage)
+ * @param {string} params.formation - Le nom de la formation
+ * @param {string} params.organizationName - Le nom de l'organisation
+ * @param {string} params.logoUrl - L'URL du logo de l'organisation (optionnel)
+ * @param {Object} params.theme - Le thème de l'organisation (optionnel, voir theme.js)
+ * @returns {Promise<HTMLCanvasElement>} Le canvas contenant l'image
+ */
+export async function composeShareImage({ certificateDataUrl, formation, organizationName, logoUrl, theme }) {
+  const { backgroundColor, secondaryColor, textColor, fontFamily } = resolveTheme(theme);
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = SHARE_IMAGE_WIDTH;
+  canvas.height = SHARE_IMAGE_HEIGHT;
+
+  // Fond et bandeau
+  context.fillStyle = backgroundColor;
+  context.fillRect(0, 0, SHARE_IMAGE_WIDTH, SHARE_IMAGE_HEIGHT);
+  context.fillStyle = secondaryColor;
+  context.fillRect(0, SHARE_IMAGE_HEIGHT - 16, SHARE_IMAGE_WIDTH, 16);
+
+  // Miniature de l'attestation (moitié gauche)
+  const certificate = await loadImage(certificateDataUrl);
+  const thumbnailArea = SHARE_IMAGE_WIDTH / 2 - PADDING * 1.5;
+  context.save();
+  context.shadowColor = 'rgba(0, 0, 0, 0.15)';
+  context.shadowBlur = 24;
+  context.shadowOffsetY = 8;
+  drawContained(context, certificate, PADDING, PADDING, thumbnailArea, SHARE_IMAGE_HEIGHT - PADDING * 2 - 16);
+  context.restore();
+
+  // Texte et logo (moitié droite)
+  const textX = SHARE_IMAGE_WIDTH / 2 + PADDING / 2;
+  const textWidth = SHARE_IMAGE_WIDTH - textX - PADDING;
+  let cursorY = PADDING;
+
+  if (logoUrl) {
+    try {
+      const logo = await loadImage(logoUrl);
+      // Logo aligné à gauche de la zone de texte, 96 px de haut au maximum
+      const ratio = Math.min(textWidth / logo.naturalWidth, 96 / logo.naturalHeight);
+      context.drawImage(logo, textX, cursorY, logo.naturalWidth * ratio, logo.naturalHeight * ratio);
+      cursorY += 96 + 40;
+    } catch (error) {
+      console.warn('Logo indisponible pour l\'image de partage:', error);
+    }
+  }
+
+  context.fillStyle = textColor;
+  context.textBaseline = 'top';
+
+  context.font = `500 28px ${fontFamily}`;
+  context.globalAlpha = 0.8;
+  context.fillText(t('shareImage.caption'), textX, cursorY);
+  context.globalAlpha = 1;
+  cursorY += 52;
+
+  context.font = `700 44px ${fontFamily}`;
+  wrapText(context, formation, textWidth, 4).forEach(line => {
+    context.fillText(line, textX, cursorY);
+    cursorY += 56;
+  });
+  cursorY += 16;
+
+  context.font = `400 26px ${fontFamily}`;
+  wrapText(context, organizationName, textWidth, 2).forEach(line => {
+    context.fillText(line, textX, cursorY);
+    cursorY += 36;
+  });
+
+  return canvas;
+}
+
+/**
+ * Convertit un canvas en fichier PNG
+ *
+ * @param {HTMLCanvasElement} canvas - Le canvas
+ * @returns {Promise<Blob>} L'image PNG
+ */
+export function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Impossible de convertir l\'image de partage'));
+      }
+    }, 'image/png');
+  });
+}
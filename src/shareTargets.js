@@ -0,0 +1,156 @@
+/**
+ * Réseaux de partage de la publication (étape 2)
+ *
+ * LinkedIn reste le réseau principal (bouton "Créer un post LinkedIn").
+ * Chaque organisation peut proposer d'autres réseaux dans config.json :
+ *
+ *   "shareTargets": ["facebook", "x", "email", "whatsapp", "native"]
+ *
+ * Chaque réseau construit son URL de partage à partir du message de
+ * l'éditeur et du lien ajouté au message, et déclare sa limite de
+ * caractères. "native" ouvre le partage du système (navigator.share), avec
+ * l'image de partage en pièce jointe lorsque le navigateur l'accepte.
+ */
+
+import { buildLinkedInShareUrl, buildLinkedInPostText, countLinkedInCharacters } from './linkedin.js';
+
+/**
+ * Longueur comptée par X pour un lien, quelle que soit sa longueur (raccourci t.co)
+ */
+const X_LINK_LENGTH = 23;
+
+/**
+ * Joint le lien au message, comme pour LinkedIn
+ *
+ * @param {string} message - Le message
+ * @param {string} linkUrl - Le lien (optionnel)
+ * @returns {string} Le texte partagé
+ */
+function appendLink(message, linkUrl) {
+  return buildLinkedInPostText({ message, linkUrl });
+}
+
+/**
+ * Réseaux de partage
+ *
+ * - maxLength : limite de caractères du texte publié (null : pas de limite utile)
+ * - messageIncluded : false si le réseau ignore le message (il est alors copié)
+ * - getLength : longueur du texte publié, telle que le réseau la compte
+ * - buildUrl : URL de partage ({ message, linkUrl, subject })
+ */
+export const SHARE_TARGETS = {
+  linkedin: {
+    maxLength: 3000,
+    messageIncluded: true,
+    getLength: (message, linkUrl) => countLinkedInCharacters(appendLink(message, linkUrl)),
+    buildUrl: ({ message, linkUrl }) => buildLinkedInShareUrl({ message, linkUrl }),
+  },
+  facebook: {
+    // Le partage Facebook ne reprend que le lien
+    maxLength: null,
+    messageIncluded: false,
+    getLength: message => message.length,
+    buildUrl: ({ linkUrl }) => `https://www.facebook.com/sharer/sharer.php?${new URLSearchParams({ u: linkUrl })}`,
+  },
+  x: {
+    maxLength: 280,
+    messageIncluded: true,
+    // X compte les caractères (et non les unités UTF-16) et chaque lien pour 23
+    getLength: (message, linkUrl) => Array.from(message).length + (linkUrl ? 1 + X_LINK_LENGTH : 0),
+    buildUrl: ({ message, linkUrl }) => `https://x.com/intent/post?${new URLSearchParams({ text: message, url: linkUrl })}`,
+  },
+  whatsapp: {
+    maxLength: null,
+    messageIncluded: true,
+    getLength: (message, linkUrl) => appendLink(message, linkUrl).length,
+    buildUrl: ({ message, linkUrl }) => `https://wa.me/?${new URLSearchParams({ text: appendLink(message, linkUrl) })}`,
+  },
+  email: {
+    maxLength: null,
+    messageIncluded: true,
+    getLength: (message, linkUrl) => appendLink(message, linkUrl).length,
+    // mailto: n'accepte pas le "+" de URLSearchParams pour les espaces
+    buildUrl: ({ message, linkUrl, subject }) => (
+      `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(appendLink(message, linkUrl))}`
+    ),
+  },
+  native: {
+    maxLength: null,
+    messageIncluded: true,
+    getLength: (message, linkUrl) => appendLink(message, linkUrl).length,
+    buildUrl: null,
+  },
+};
+
+/**
+ * Réseaux proposés en plus de LinkedIn (valeurs acceptées dans config.json)
+ */
+export const SHARE_TARGET_IDS = Object.keys(SHARE_TARGETS).filter(id => id !== 'linkedin');
+
+/**
+ * Indique si le navigateur propose le partage du système
+ *
+ * @returns {boolean} true si navigator.share est disponible
+ */
+export function canShareNatively() {
+  return typeof navigator.share === 'function';
+}
+
+/**
+ * Retourne les réseaux proposés par une organisation, en plus de LinkedIn
+ *
+ * "native" est retiré si le navigateur ne propose pas de partage du système.
+ *
+ * @param {Object} config - La configuration de l'organisation
+ * @returns {string[]} Les identifiants des réseaux (clés de SHARE_TARGETS)
+ */
+export function getEnabledShareTargets(config) {
+  return [...new Set(config?.shareTargets || [])]
+    .filter(id => SHARE_TARGET_IDS.includes(id))
+    .filter(id => id !== 'native' || canShareNatively());
+}
+
+/**
+ * Indique si le message dépasse la limite d'un réseau
+ *
+ * @param {string} targetId - L'identifiant du réseau
+ * @param {string} message - Le message de l'éditeur
+ * @param {string} linkUrl - Le lien ajouté au message
+ * @returns {boolean} true si le texte publié serait trop long
+ */
+export function exceedsShareLimit(targetId, message, linkUrl) {
+  const { maxLength, getLength } = SHARE_TARGETS[targetId];
+  return maxLength !== null && getLength(message, linkUrl) > maxLength;
+}
+
+/**
+ * Partage par le système (navigator.share)
+ *
+ * L'image est jointe si le navigateur accepte le partage de fichiers.
+ * L'annulation par le visiteur n'est pas une erreur. À appeler directement
+ * dans le gestionnaire du clic, sans attente préalable : le navigateur
+ * refuse le partage une fois l'activation par le visiteur expirée.
+ *
+ * @param {Object} params - Le contenu partagé
+ * @param {string} params.title - Le titre
+ * @param {string} params.message - Le message
+ * @param {string} params.linkUrl - Le lien ajouté au message
+ * @param {File} params.image - L'image à joindre (optionnel)
+ * @returns {Promise<boolean>} true si le partage a eu lieu, false s'il a été annulé
+ */
+export async function shareNatively({ title, message, linkUrl, image }) {
+  const data = { title, text: message, url: linkUrl };
+  if (image && navigator.canShare?.({ files: [image] })) {
+    data.files = [image];
+  }
+
+  try {
+    await navigator.share(data);
+    return true;
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      return false;
+    }
+    throw error;
+  }
+}
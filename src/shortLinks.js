@@ -0,0 +1,286 @@
+/**
+ * Liens courts (/c/<code>)
+ *
+ * Un code court (ex: "cas-7K2M9QXA4BHN3R5T") remplace la longue query string
+ * d'un lien d'attestation. Chaque organisation publie un manifeste
+ * statique `/links/<org>.json`, généré par `npm run links -- --short` :
+ *
+ *   { "links": { "<empreinte du code>": { "iv": "...", "data": "..." } } }
+ *
+ * Le manifeste étant public, les paramètres (dont l'URL du PDF) y sont
+ * chiffrés (AES-GCM) avec une clé dérivée du code, et indexés par une
+ * empreinte du code : sans le code, une entrée ne révèle rien. La clé et
+ * l'empreinte sont dérivées par PBKDF2 (nombreuses itérations) pour
+ * ralentir une recherche exhaustive des codes à partir du manifeste.
+ *
+ * Partagé entre la page (résolution) et les outils (génération).
+ */
+
+import { SHORT_LINK_STORAGE_PREFIX, isStorageAllowed } from './privacy.js';
+
+/**
+ * Dossier public des manifestes de liens courts
+ */
+export const SHORT_LINKS_BASE_URL = '/links';
+
+/**
+ * Alphabet des codes (base32 de Crockford : sans I, L, O ni U)
+ */
+const TOKEN_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Longueur de la partie aléatoire d'un code (80 bits)
+ */
+export const TOKEN_LENGTH = 16;
+
+/**
+ * Nombre d'itérations PBKDF2 (SHA-256) de la dérivation d'un code
+ */
+export const KDF_ITERATIONS = 200000;
+
+/**
+ * Sel de la dérivation (le code contient déjà l'organisation)
+ */
+const KDF_SALT = 'attestation-short-link';
+
+const SHORT_LINK_PATH_PATTERN = /^\/c\/([^/]+)\/?$/;
+const CODE_PATTERN = /^([a-z0-9_-]+)-([0-9A-Z]+)$/i;
+
+// Manifestes déjà chargés pendant la visite
+const manifests = new Map();
+
+// Dérivations déjà calculées (clé: code normalisé)
+const derivations = new Map();
+
+/**
+ * Génère un nouveau code court pour une organisation
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {string} Le code (ex: "cas-7K2M9QXA4BHN3R5T")
+ */
+export function generateShortCode(orgId) {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_LENGTH));
+  const token = Array.from(bytes, byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]).join('');
+  return `${orgId}-${token}`;
+}
+
+/**
+ * Analyse un code court saisi ou copié
+ *
+ * Les caractères ambigus sont corrigés (O → 0, I et L → 1) et la casse
+ * de la partie aléatoire est ignorée.
+ *
+ * @param {string} code - Le code
+ * @returns {{orgId: string, code: string}|null} Le code normalisé, ou null s'il est mal formé
+ */
+export function parseShortCode(code) {
+  const match = String(code || '').trim().match(CODE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const token = match[2].toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+  if (token.length !== TOKEN_LENGTH || [...token].some(char => !TOKEN_ALPHABET.includes(char))) {
+    return null;
+  }
+
+  return { orgId: match[1], code: `${match[1]}-${token}` };
+}
+
+/**
+ * Extrait le code court du chemin /c/<code>
+ *
+ * Un code mal encodé (ex: "/c/%E0") est retourné tel quel : il ne
+ * correspond à aucun code valide (voir parseShortCode).
+ *
+ * @param {string} pathname - Le chemin de l'URL
+ * @returns {string|null} Le code (non normalisé), ou null si ce n'est pas un lien court
+ */
+export function getShortCodeFromPath(pathname) {
+  const match = pathname.match(SHORT_LINK_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Dérive d'un code l'identifiant de son entrée et sa clé de chiffrement
+ *
+ * Une seule dérivation PBKDF2 produit les deux : les 128 premiers bits
+ * forment l'identifiant, les 256 suivants la clé AES-GCM.
+ *
+ * @param {string} code - Le code normalisé
+ * @returns {Promise<{id: string, key: CryptoKey}>} L'identifiant (32 caractères hexadécimaux) et la clé
+ */
+function deriveShortLinkSecrets(code) {
+  if (!derivations.has(code)) {
+    derivations.set(code, (async () => {
+      const encoder = new TextEncoder();
+      const material = await crypto.subtle.importKey('raw', encoder.encode(code), 'PBKDF2', false, ['deriveBits']);
+      const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(KDF_SALT), iterations: KDF_ITERATIONS },
+        material,
+        384,
+      ));
+      return {
+        id: Array.from(bits.slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join(''),
+        key: await crypto.subtle.importKey('raw', bits.slice(16), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      };
+    })());
+  }
+  return derivations.get(code);
+}
+
+/**
+ * Calcule l'identifiant d'une entrée du manifeste (empreinte du code)
+ *
+ * @param {string} code - Le code normalisé
+ * @returns {Promise<string>} L'identifiant (32 caractères hexadécimaux)
+ */
+export async function getShortLinkEntryId(code) {
+  return (await deriveShortLinkSecrets(code)).id;
+}
+
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes));
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Chiffre les paramètres d'une attestation pour le manifeste
+ *
+ * @param {string} code - Le code normalisé
+ * @param {Object} params - Les paramètres du lien (signés, voir buildAttestationUrl)
+ * @returns {Promise<{id: string, entry: {iv: string, data: string}}>} L'entrée et son identifiant
+ */
+export async function encryptShortLinkParams(code, params) {
+  const { id, key } = await deriveShortLinkSecrets(code);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(params)),
+  );
+
+  return {
+    id,
+    entry: { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) },
+  };
+}
+
+/**
+ * Déchiffre une entrée du manifeste
+ *
+ * @param {string} code - Le code normalisé
+ * @param {{iv: string, data: string}} entry - L'entrée chiffrée
+ * @returns {Promise<Object>} Les paramètres du lien
+ */
+export async function decryptShortLinkEntry(code, entry) {
+  const { key } = await deriveShortLinkSecrets(code);
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(entry.iv) },
+    key,
+    fromBase64(entry.data),
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Charge le manifeste des liens courts d'une organisation
+ *
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {Promise<Object|null>} Le manifeste, ou null s'il n'existe pas
+ * @throws {Error} Si le manifeste ne peut pas être chargé
+ */
+export async function fetchShortLinkManifest(orgId) {
+  if (!manifests.has(orgId)) {
+    const request = fetch(`${SHORT_LINKS_BASE_URL}/${encodeURIComponent(orgId)}.json`).then(response => {
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Erreur de chargement des liens courts ${orgId}: ${response.status}`);
+      }
+      return response.json();
+    });
+    // Ne pas conserver un échec : la prochaine résolution réessaiera
+    manifests.set(orgId, request.catch(error => {
+      manifests.delete(orgId);
+      throw error;
+    }));
+  }
+  return manifests.get(orgId);
+}
+
+/**
+ * Lit une entrée conservée dans le localStorage
+ *
+ * @param {string} id - L'identifiant de l'entrée
+ * @returns {Object|null} L'entrée, ou null si absente ou illisible
+ */
+function readCachedEntry(id) {
+  try {
+    return JSON.parse(localStorage.getItem(`${SHORT_LINK_STORAGE_PREFIX}${id}`));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Conserve une entrée dans le localStorage (ignoré s'il est indisponible
+ * ou si le visiteur n'a pas accepté la conservation de données, voir privacy.js)
+ *
+ * @param {string} id - L'identifiant de l'entrée
+ * @param {Object} entry - L'entrée chiffrée
+ */
+function writeCachedEntry(id, entry) {
+  if (!isStorageAllowed()) {
+    return;
+  }
+  try {
+    localStorage.setItem(`${SHORT_LINK_STORAGE_PREFIX}${id}`, JSON.stringify(entry));
+  } catch (error) {
+    console.warn('Impossible de conserver le lien court:', error);
+  }
+}
+
+/**
+ * Résout un code court en paramètres d'attestation
+ *
+ * L'entrée trouvée est conservée (chiffrée) dans le localStorage : si le
+ * manifeste ne peut pas être chargé lors d'une visite suivante, la copie
+ * locale est utilisée.
+ *
+ * @param {string} code - Le code court
+ * @returns {Promise<Object|null>} Les paramètres du lien, ou null si le code est inconnu
+ * @throws {Error} Si le manifeste ne peut pas être chargé et qu'aucune copie locale n'existe
+ */
+export async function resolveShortLink(code) {
+  const parsed = parseShortCode(code);
+  if (!parsed) {
+    return null;
+  }
+
+  const id = await getShortLinkEntryId(parsed.code);
+  let entry;
+
+  try {
+    const manifest = await fetchShortLinkManifest(parsed.orgId);
+    entry = manifest?.links?.[id];
+    if (!entry) {
+      return null;
+    }
+    writeCachedEntry(id, entry);
+  } catch (error) {
+    entry = readCachedEntry(id);
+    if (!entry) {
+      throw error;
+    }
+    console.warn('Liens courts indisponibles, utilisation de la copie locale:', error);
+  }
+
+  return decryptShortLinkEntry(parsed.code, entry);
+}
@@ -0,0 +1,206 @@
+/**
+ * Thème visuel des organisations
+ *
+ * Chaque organisation peut déclarer un thème dans config.json :
+ *
+ *   "theme": {
+ *     "primaryColor": "#0073b1",
+ *     "secondaryColor": "#C1E5E7",
+ *     "fontFamily": "'Open Sans', sans-serif",
+ *     "fontStylesheetUrl": "https://fonts.googleapis.com/css2?family=Open+Sans",
+ *     "bannerImage": "assets/banniere.jpg",
+ *     "footerLogo": "assets/logo_pied.svg",
+ *     "footerText": { "fr": "...", "en": "..." },
+ *     "headerTagline": { "fr": "...", "en": "..." }
+ *   }
+ *
+ * Les couleurs et la police sont appliquées par les propriétés CSS
+ * personnalisées déclarées dans `:root` (style.css).
+ */
+
+import { getLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+/**
+ * Thème par défaut (valeurs de style.css)
+ */
+export const DEFAULT_THEME = {
+  primaryColor: '#0073b1',
+  primaryDarkColor: '#005885',
+  secondaryColor: '#C1E5E7',
+  textColor: '#233746',
+  backgroundColor: '#F5FAFA',
+  fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif",
+};
+
+/**
+ * Propriétés CSS alimentées par le thème
+ */
+const CSS_PROPERTIES = {
+  primaryColor: '--color-primary',
+  primaryDarkColor: '--color-primary-dark',
+  secondaryColor: '--color-secondary',
+  textColor: '--color-text',
+  backgroundColor: '--color-background',
+  fontFamily: '--font-family',
+};
+
+/**
+ * Contraste minimal du texte normal (WCAG 2.1, niveau AA)
+ */
+export const MIN_CONTRAST_RATIO = 4.5;
+
+/**
+ * Paires de couleurs affichées l'une sur l'autre dans l'interface
+ */
+const CONTRAST_PAIRS = [
+  { foreground: 'textColor', background: 'backgroundColor', label: 'le texte sur le fond de page' },
+  { foreground: 'textColor', background: 'secondaryColor', label: 'le titre sur le bandeau' },
+  { foreground: 'white', background: 'primaryColor', label: 'le texte des boutons principaux' },
+  { foreground: 'white', background: 'primaryDarkColor', label: 'le texte des boutons principaux survolés' },
+  { foreground: 'primaryColor', background: 'white', label: 'les liens sur les cartes' },
+];
+
+/**
+ * Convertit une couleur hexadécimale en composantes RVB
+ *
+ * @param {string} hex - La couleur (ex: "#233746" ou "#fff")
+ * @returns {number[]} Les composantes [r, g, b] (0 à 255)
+ */
+function parseHexColor(hex) {
+  let digits = hex.replace(/^#/, '');
+  if (digits.length === 3) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+  return [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+}
+
+/**
+ * Assombrit une couleur (utilisée pour le survol des boutons)
+ *
+ * @param {string} hex - La couleur
+ * @param {number} amount - La proportion de noir ajoutée (0 à 1)
+ * @returns {string} La couleur assombrie
+ */
+function darken(hex, amount) {
+  return `#${parseHexColor(hex)
+    .map(channel => Math.round(channel * (1 - amount)).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Calcule la luminance relative d'une couleur (WCAG 2.1)
+ *
+ * @param {string} hex - La couleur
+ * @returns {number} La luminance (0 à 1)
+ */
+export function getRelativeLuminance(hex) {
+  const [r, g, b] = parseHexColor(hex).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Calcule le rapport de contraste entre deux couleurs (WCAG 2.1)
+ *
+ * @param {string} foreground - La couleur du texte
+ * @param {string} background - La couleur du fond
+ * @returns {number} Le rapport (1 à 21)
+ */
+export function getContrastRatio(foreground, background) {
+  const [lighter, darker] = [getRelativeLuminance(foreground), getRelativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Complète le thème d'une organisation avec les valeurs par défaut
+ *
+ * Sans `primaryDarkColor`, la couleur de survol est dérivée de `primaryColor`.
+ *
+ * @param {Object} theme - Le thème de l'organisation (optionnel)
+ * @returns {Object} Le thème complet
+ */
+export function resolveTheme(theme = {}) {
+  const resolved = { ...DEFAULT_THEME, ...theme };
+  if (theme.primaryColor && !theme.primaryDarkColor) {
+    resolved.primaryDarkColor = darken(theme.primaryColor, 0.2);
+  }
+  return resolved;
+}
+
+/**
+ * Vérifie que les couleurs d'un thème respectent le contraste WCAG AA
+ *
+ * @param {Object} theme - Le thème de l'organisation (optionnel)
+ * @returns {string[]} Les avertissements (vide si toutes les paires sont lisibles)
+ */
+export function checkThemeContrast(theme = {}) {
+  const colors = { ...resolveTheme(theme), white: '#FFFFFF' };
+
+  return CONTRAST_PAIRS.flatMap(({ foreground, background, label }) => {
+    const ratio = getContrastRatio(colors[foreground], colors[background]);
+    return ratio < MIN_CONTRAST_RATIO
+      ? [`contraste insuffisant pour ${label} (${colors[foreground]} sur ${colors[background]} : ${ratio.toFixed(2)}:1, minimum ${MIN_CONTRAST_RATIO}:1)`]
+      : [];
+  });
+}
+
+/**
+ * Retourne un texte du thème dans la langue courante
+ *
+ * @param {string|Object} value - Le texte, ou les textes par langue
+ * @returns {string|undefined} Le texte traduit
+ */
+function localize(value) {
+  if (value && typeof value === 'object') {
+    return value[getLanguage()] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+  }
+  return value;
+}
+
+/**
+ * Applique le thème d'une organisation à la page
+ *
+ * À appeler après applyTranslations() : les textes du thème remplacent
+ * les textes traduits.
+ *
+ * @param {Object} theme - Le thème de l'organisation (optionnel)
+ * @param {string} organizationName - Le nom de l'organisation (texte alternatif du logo de pied de page)
+ */
+export function applyTheme(theme = {}, organizationName = '') {
+  const resolved = resolveTheme(theme);
+  const root = document.documentElement;
+
+  Object.entries(CSS_PROPERTIES).forEach(([key, property]) => {
+    root.style.setProperty(property, resolved[key]);
+  });
+
+  if (theme.fontStylesheetUrl) {
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = theme.fontStylesheetUrl;
+    document.head.appendChild(stylesheet);
+  }
+
+  if (theme.bannerImage) {
+    root.style.setProperty('--banner-image', `url("/${theme.bannerImage}")`);
+  }
+
+  const footerLogo = document.querySelector('.footer-logo');
+  if (theme.footerLogo && footerLogo) {
+    footerLogo.src = `/${theme.footerLogo}`;
+    footerLogo.alt = organizationName;
+    footerLogo.removeAttribute('data-i18n-attr');
+  }
+
+  const footerText = document.getElementById('footer-text');
+  if (theme.footerText && footerText) {
+    footerText.textContent = localize(theme.footerText);
+  }
+
+  const headerTagline = document.getElementById('header-tagline');
+  if (theme.headerTagline && headerTagline) {
+    headerTagline.textContent = localize(theme.headerTagline);
+  }
+}
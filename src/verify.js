@@ -0,0 +1,126 @@
+/**
+ * Point d'entrée de la page publique de vérification (/verify/<certId>)
+ *
+ * Recherche le certificat dans le registre de l'organisation et affiche
+ * le titulaire, la formation, la date d'émission et le statut
+ * (valide, révoquée ou inconnue).
+ */
+
+import { fetchConfigData, applyConfiguration } from './config.js';
+import { findCertificate, getCertificateStatus } from './registry.js';
+import { findRevocation } from './revocations.js';
+import { registerServiceWorker } from './offline.js';
+import {
+  t, setLanguage, detectLanguage, applyTranslations, initializeLanguageToggle, formatMonthYear, formatDate,
+} from './i18n.js';
+
+registerServiceWorker();
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const loader = document.getElementById('loader');
+  const params = new URLSearchParams(window.location.search);
+  const orgId = params.get('org');
+
+  let status = 'unknown';
+  let result = null;
+  let revocation = null;
+  let certId = null;
+
+  try {
+    certId = extractCertId(window.location.pathname) || params.get('certId');
+  } catch (error) {
+    // Chemin mal encodé (ex: /verify/%ZZ) : aucun certificat à rechercher
+    console.error('Lien de vérification invalide:', error);
+    status = 'invalid';
+  }
+
+  setLanguage(detectLanguage());
+  applyTranslations();
+
+  try {
+    const configData = await fetchConfigData();
+
+    if (certId) {
+      result = await findCertificate(certId, configData, orgId);
+      if (result?.orgId || configData[orgId]) {
+        revocation = await findRevocation(result?.orgId || orgId, certId);
+      }
+      status = getCertificateStatus(result?.certificate, revocation);
+    }
+
+    // Appliquer l'image de marque de l'organisation émettrice
+    const config = configData[result?.orgId || orgId];
+    if (config) {
+      // La langue par défaut de l'organisation n'est connue qu'après le chargement
+      setLanguage(detectLanguage(config.defaultLanguage));
+      applyTranslations();
+      applyConfiguration(config, t('verify.pageTitle'));
+      displayCertificate(result?.certificate, config, certId);
+    }
+  } catch (error) {
+    console.error('Erreur lors de la vérification:', error);
+  }
+
+  initializeLanguageToggle(document.getElementById('language-toggle'));
+  displayStatus(status, revocation);
+  loader.classList.add('hidden');
+});
+
+/**
+ * Extrait l'identifiant du certificat du chemin /verify/<certId>
+ *
+ * @param {string} pathname - Le chemin de l'URL
+ * @returns {string|null} L'identifiant décodé, ou null
+ * @throws {URIError} Si le chemin est mal encodé
+ */
+function extractCertId(pathname) {
+  const match = pathname.match(/^\/verify\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Affiche le statut de vérification
+ *
+ * @param {'valid'|'revoked'|'unknown'|'invalid'} status - Le statut du certificat
+ * @param {Object|null} revocation - La révocation du certificat (optionnel)
+ */
+function displayStatus(status, revocation) {
+  const card = document.getElementById('verification');
+  const statusElement = document.getElementById('verification-status');
+  const revocationElement = document.getElementById('verification-revocation');
+
+  statusElement.textContent = t(`verify.status.${status}`);
+  statusElement.className = `verification-status verification-status-${status}`;
+
+  if (revocation) {
+    const date = formatDate(revocation.date);
+    revocationElement.textContent = [date && t('verify.revokedOn', { date }), revocation.reason].filter(Boolean).join(' — ');
+    revocationElement.classList.remove('hidden');
+  }
+
+  card.classList.remove('hidden');
+}
+
+/**
+ * Affiche les détails du certificat
+ *
+ * @param {Object|undefined} certificate - L'entrée du registre
+ * @param {Object} config - La configuration de l'organisation émettrice
+ * @param {string} certId - L'identifiant du certificat
+ */
+function displayCertificate(certificate, config, certId) {
+  if (!certificate) {
+    return;
+  }
+
+  const organizationLink = document.getElementById('verification-organization');
+
+  document.getElementById('verification-holder').textContent = certificate.prenom || '—';
+  document.getElementById('verification-formation').textContent = certificate.formation;
+  document.getElementById('verification-date').textContent = formatMonthYear(certificate.mois, certificate.annee) || '—';
+  document.getElementById('verification-cert-id').textContent = certId;
+  organizationLink.textContent = config.organizationName;
+  organizationLink.href = config.websiteUrl || '#';
+
+  document.getElementById('verification-details').classList.remove('hidden');
+}
@@ -0,0 +1,319 @@
+/**
+ * Composant intégrable "Partager sur LinkedIn"
+ *
+ * Affiche les deux actions LinkedIn d'une attestation (ajout au profil et
+ * publication) sur le site d'une organisation ou dans un LMS, sans passer
+ * par la page de partage :
+ *
+ *   <script type="module" src="https://mon-app.vercel.app/widget/attestation-share.js"></script>
+ *   <attestation-share org="cas" cert-id="ASC-2024-00123" formation="Certification en gouvernance"
+ *     pdf="https://exemple.com/diplome.pdf" prenom="Alexandre" mois="12" annee="2025" preview>
+ *   </attestation-share>
+ *
+ * Les attributs reprennent les paramètres du lien d'attestation, en
+ * minuscules avec tirets (cert-id, org-id, mois-expiration...), ainsi que
+ * `sig` et `exp` pour les organisations qui signent leurs liens. `lang`
+ * choisit la langue, `preview` affiche l'aperçu de l'attestation et
+ * `app-url` l'adresse de l'application (défaut : l'origine du script).
+ *
+ * Le composant charge sa configuration publique depuis l'application
+ * (/widget/config.json, voir src/widgetConfig.js), applique les mêmes
+ * règles que la page (paramètres, signature, révocation) et construit les
+ * liens avec src/attestationShare.js. Il s'affiche dans un shadow DOM, sans
+ * iframe : vercel.json interdit l'affichage de l'application dans un cadre.
+ * Un clic sur une action émet l'événement `attestation-share-click`
+ * (detail.step : "step1" ou "step2").
+ *
+ * Construit par `npm run build:widget` (vite.widget.config.js).
+ */
+
+import { ATTESTATION_PARAMS, getParamErrors } from './attestationLink.js';
+import { buildAddToProfileUrl, buildShareUrl } from './attestationShare.js';
+import {
+  ConfigUnavailableError, ConfigurationError, UnknownOrganizationError, InvalidLinkError, ExpiredLinkError,
+} from './errors.js';
+import { resolveLanguage, setLanguage, t } from './i18n.js';
+import { findRevocation } from './revocations.js';
+import { verifySignature } from './signature.js';
+import { resolveTheme } from './theme.js';
+import { fetchWidgetConfigData, validateWidgetConfig } from './widgetConfig.js';
+
+/**
+ * Nom de l'élément
+ */
+export const WIDGET_TAG_NAME = 'attestation-share';
+
+/**
+ * Convertit un paramètre d'attestation en nom d'attribut (certId → cert-id)
+ *
+ * @param {string} param - Le paramètre
+ * @returns {string} L'attribut
+ */
+function toAttributeName(param) {
+  return param.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+const OBSERVED_ATTRIBUTES = [...ATTESTATION_PARAMS.map(toAttributeName), 'lang', 'preview', 'app-url'];
+
+// Adresse de l'application qui sert ce script
+const DEFAULT_APP_URL = `${new URL(import.meta.url).origin}/`;
+
+const STYLES = `
+  :host {
+    display: block;
+    font-family: var(--attestation-share-font, inherit);
+  }
+  [hidden] {
+    display: none !important;
+  }
+  .preview {
+    display: block;
+    max-width: 100%;
+    height: auto;
+    margin-bottom: 12px;
+    border: 1px solid #e0e0e0;
+    border-radius: 6px;
+  }
+  div {
+    color: var(--text);
+  }
+  .actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+  }
+  .button {
+    display: inline-flex;
+    align-items: center;
+    padding: 10px 18px;
+    border: 2px solid var(--primary);
+    border-radius: 6px;
+    font-weight: 600;
+    font-size: 0.95rem;
+    text-decoration: none;
+    transition: background-color 0.2s ease;
+  }
+  .primary {
+    background-color: var(--primary);
+    color: #fff;
+  }
+  .primary:hover {
+    background-color: var(--primary-dark);
+    border-color: var(--primary-dark);
+  }
+  .secondary {
+    background-color: #fff;
+    color: var(--primary);
+  }
+  .secondary:hover {
+    background-color: #f3f6f8;
+  }
+  .message {
+    margin: 0;
+    font-size: 0.9rem;
+  }
+`;
+
+/**
+ * Charge la configuration de l'organisation et vérifie l'attestation
+ * (mêmes règles que la page de partage)
+ *
+ * @param {Object} params - Les paramètres de l'attestation
+ * @param {string} appUrl - L'adresse de l'application
+ * @returns {Promise<{config: Object, revocation: Object|null}>} La configuration et la révocation éventuelle
+ * @throws {AttestationError} Si l'attestation ne peut pas être partagée
+ */
+async function loadAttestation(params, appUrl) {
+  let configData;
+  try {
+    configData = await fetchWidgetConfigData(appUrl);
+  } catch (error) {
+    throw new ConfigUnavailableError(error);
+  }
+
+  const config = configData[params.org];
+  if (!config) {
+    throw new UnknownOrganizationError(params.org, Object.keys(configData));
+  }
+  const configErrors = validateWidgetConfig(config, params.org);
+  if (configErrors.length > 0) {
+    throw new ConfigurationError(params.org, configErrors);
+  }
+
+  const paramErrors = getParamErrors(params);
+  if (paramErrors.length > 0) {
+    throw new InvalidLinkError(paramErrors);
+  }
+
+  const { valid, reason } = await verifySignature(params, config.verificationKey);
+  if (reason === 'expired') {
+    throw new ExpiredLinkError(params.exp);
+  }
+  if (!valid) {
+    throw new InvalidLinkError([`Signature ${reason === 'missing' ? 'manquante' : 'invalide'} (attribut sig)`]);
+  }
+
+  return { config, revocation: await findRevocation(params.org, params.certId, appUrl) };
+}
+
+/**
+ * Élément <attestation-share>
+ */
+export class AttestationShareElement extends HTMLElement {
+  static get observedAttributes() {
+    return OBSERVED_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    // Rendu en cours : un rendu plus récent (attributs modifiés) l'emporte
+    this.renderId = 0;
+    this.renderScheduled = false;
+  }
+
+  connectedCallback() {
+    this.scheduleRender();
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Regroupe les modifications d'attributs en un seul rendu
+   */
+  scheduleRender() {
+    if (this.renderScheduled) {
+      return;
+    }
+    this.renderScheduled = true;
+    queueMicrotask(() => {
+      this.renderScheduled = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Retourne les paramètres de l'attestation lus dans les attributs
+   *
+   * @returns {Object} Les paramètres (null si absents)
+   */
+  getParams() {
+    return Object.fromEntries(ATTESTATION_PARAMS.map(param => [param, this.getAttribute(toAttributeName(param))]));
+  }
+
+  async render() {
+    const renderId = ++this.renderId;
+    const params = this.getParams();
+    const appUrl = this.getAttribute('app-url') || DEFAULT_APP_URL;
+
+    let result;
+    try {
+      result = await loadAttestation(params, appUrl);
+    } catch (error) {
+      result = { error };
+    }
+    if (renderId !== this.renderId) {
+      return;
+    }
+
+    // La langue est partagée par les éléments de la page : la fixer juste avant de traduire
+    setLanguage(resolveLanguage({
+      param: this.getAttribute('lang'),
+      navigatorLanguages: navigator.languages?.length ? [...navigator.languages] : [navigator.language],
+      orgDefault: result.config?.defaultLanguage,
+    }));
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    if (result.error || result.revocation) {
+      if (result.error) {
+        console.error(`<${WIDGET_TAG_NAME}>:`, result.error);
+      }
+      const message = document.createElement('p');
+      message.className = 'message';
+      message.textContent = result.error ? t(`errorPage.${result.error.page}.title`) : t('revoked.title');
+      this.shadowRoot.replaceChildren(style, message);
+      return;
+    }
+
+    const { config } = result;
+
+    // Couleurs du thème de l'organisation
+    const container = document.createElement('div');
+    const theme = resolveTheme(config.theme);
+    container.style.setProperty('--primary', theme.primaryColor);
+    container.style.setProperty('--primary-dark', theme.primaryDarkColor);
+    container.style.setProperty('--text', theme.textColor);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(
+      this.createAction('step1', 'primary', t('step1.button'), buildAddToProfileUrl(params, config, appUrl)),
+      this.createAction('step2', 'secondary', t('step2.button'), buildShareUrl(params, config, appUrl)),
+    );
+
+    if (this.hasAttribute('preview')) {
+      container.append(this.createPreview(params.pdf));
+    }
+    container.append(actions);
+    this.shadowRoot.replaceChildren(style, container);
+  }
+
+  /**
+   * Crée le lien d'une action LinkedIn
+   *
+   * @param {string} step - L'étape ("step1" ou "step2")
+   * @param {string} variant - Le style du bouton ("primary" ou "secondary")
+   * @param {string} label - Le libellé
+   * @param {string} href - L'URL LinkedIn
+   * @returns {HTMLAnchorElement} Le lien
+   */
+  createAction(step, variant, label, href) {
+    const link = document.createElement('a');
+    link.className = `button ${variant}`;
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = label;
+    link.addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('attestation-share-click', { detail: { step }, bubbles: true, composed: true }));
+    });
+    return link;
+  }
+
+  /**
+   * Crée l'aperçu de l'attestation (rendu PDF.js chargé seulement si demandé)
+   *
+   * @param {string} pdfUrl - L'URL du PDF
+   * @returns {HTMLImageElement} L'image, masquée tant que le rendu n'est pas prêt
+   */
+  createPreview(pdfUrl) {
+    const image = document.createElement('img');
+    image.className = 'preview';
+    image.alt = t('preview.imageAlt');
+    image.hidden = true;
+
+    import('./pdfRenderer.js')
+      .then(({ renderPdfToImage }) => renderPdfToImage(pdfUrl, 1.5))
+      .then(({ dataUrl }) => {
+        image.src = dataUrl;
+        image.hidden = false;
+      })
+      .catch(error => {
+        // Sans CORS sur le PDF, seules les actions sont affichées
+        console.warn(`<${WIDGET_TAG_NAME}>: aperçu indisponible`, error);
+        image.remove();
+      });
+
+    return image;
+  }
+}
+
+if (!customElements.get(WIDGET_TAG_NAME)) {
+  customElements.define(WIDGET_TAG_NAME, AttestationShareElement);
+}
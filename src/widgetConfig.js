@@ -0,0 +1,93 @@
+/**
+ * Configuration publique du composant intégrable (/widget/config.json)
+ *
+ * Le composant est chargé depuis d'autres sites : il ne lit pas
+ * config.json, mais un extrait généré au build (vite.widget.config.js)
+ * qui ne garde que les champs utiles aux actions LinkedIn. La clé de
+ * vérification des liens y figure : c'est une clé publique (voir
+ * signature.js). Seul cet extrait est servi aux autres origines
+ * (vercel.json).
+ */
+
+import { ORGANIZATION_SCHEMA, THEME_SCHEMA, validateFields } from './configSchema.js';
+
+/**
+ * Chemin de la configuration du composant dans l'application
+ */
+export const WIDGET_CONFIG_URL = '/widget/config.json';
+
+/**
+ * Champs d'une organisation repris pour le composant
+ */
+export const WIDGET_CONFIG_SCHEMA = {
+  organizationName: ORGANIZATION_SCHEMA.organizationName,
+  shareImageUrl: ORGANIZATION_SCHEMA.shareImageUrl,
+  verificationKey: ORGANIZATION_SCHEMA.verificationKey,
+  defaultLanguage: ORGANIZATION_SCHEMA.defaultLanguage,
+  messageTemplates: ORGANIZATION_SCHEMA.messageTemplates,
+  defaultMessageTemplate: ORGANIZATION_SCHEMA.defaultMessageTemplate,
+  hashtags: ORGANIZATION_SCHEMA.hashtags,
+  linkedinMention: ORGANIZATION_SCHEMA.linkedinMention,
+  linkedinOrganizationId: ORGANIZATION_SCHEMA.linkedinOrganizationId,
+  theme: {
+    type: 'object',
+    fields: {
+      primaryColor: THEME_SCHEMA.primaryColor,
+      primaryDarkColor: THEME_SCHEMA.primaryDarkColor,
+      textColor: THEME_SCHEMA.textColor,
+    },
+  },
+};
+
+/**
+ * Extrait d'un objet les champs décrits par un schéma
+ *
+ * @param {Object} value - L'objet
+ * @param {Object} schema - Le schéma ({ champ: { type, fields } })
+ * @returns {Object} Les champs présents (objets imbriqués filtrés de même)
+ */
+function pickFields(value, schema) {
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([field]) => value?.[field] !== undefined)
+    .map(([field, descriptor]) => [
+      field,
+      descriptor.type === 'object' ? pickFields(value[field], descriptor.fields) : value[field],
+    ]));
+}
+
+/**
+ * Construit la configuration du composant à partir de config.json
+ *
+ * @param {Object} configData - La configuration indexée par identifiant d'organisation
+ * @returns {Object} La configuration du composant, indexée de même
+ */
+export function buildWidgetConfigData(configData) {
+  return Object.fromEntries(Object.entries(configData)
+    .map(([orgId, config]) => [orgId, pickFields(config, WIDGET_CONFIG_SCHEMA)]));
+}
+
+/**
+ * Valide la configuration d'une organisation pour le composant
+ *
+ * @param {Object} config - La configuration de l'organisation (extrait du composant)
+ * @param {string} orgId - L'identifiant de l'organisation
+ * @returns {string[]} Les erreurs trouvées (vide si valide)
+ */
+export function validateWidgetConfig(config, orgId) {
+  return validateFields(config, WIDGET_CONFIG_SCHEMA, orgId);
+}
+
+/**
+ * Charge la configuration du composant depuis l'application
+ *
+ * @param {string} appUrl - L'adresse de l'application
+ * @returns {Promise<Object>} La configuration indexée par identifiant d'organisation
+ * @throws {Error} Si le fichier ne peut pas être chargé
+ */
+export async function fetchWidgetConfigData(appUrl) {
+  const response = await fetch(new URL(WIDGET_CONFIG_URL, appUrl));
+  if (!response.ok) {
+    throw new Error(`Erreur de chargement de la configuration du composant: ${response.status}`);
+  }
+  return response.json();
+}
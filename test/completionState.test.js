@@ -0,0 +1,101 @@
+/**
+ * Tests de la migration des états de complétion enregistrés (migrateCompletionState)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateCompletionState, getLastActivity } from '../src/completionState.js';
+
+const EMPTY_STEP = { completed: false, timestamp: null };
+
+test('ancien format : booléens et horodatages par étape', () => {
+  const state = migrateCompletionState({
+    step1: true,
+    step1Timestamp: 1730000000000,
+    step2: false,
+    step2Timestamp: null,
+  });
+
+  assert.deepEqual(state, {
+    step1: { completed: true, timestamp: 1730000000000 },
+    step2: EMPTY_STEP,
+  });
+});
+
+test('ancien format : horodatage enregistré en texte', () => {
+  const state = migrateCompletionState({ step1: true, step1Timestamp: '1730000000000' });
+  assert.deepEqual(state.step1, { completed: true, timestamp: 1730000000000 });
+});
+
+test('ancien format : horodatage commun aux deux étapes', () => {
+  const state = migrateCompletionState({ step1: true, step2: true, timestamp: 1720000000000 });
+
+  assert.deepEqual(state.step1, { completed: true, timestamp: 1720000000000 });
+  assert.deepEqual(state.step2, { completed: true, timestamp: 1720000000000 });
+});
+
+test('ancien format : l\'horodatage de l\'étape l\'emporte sur l\'horodatage commun', () => {
+  const state = migrateCompletionState({ step1: true, step1Timestamp: 1730000000000, step2: true, timestamp: 1720000000000 });
+
+  assert.equal(state.step1.timestamp, 1730000000000);
+  assert.equal(state.step2.timestamp, 1720000000000);
+});
+
+test('ancien format : étape terminée sans date', () => {
+  const state = migrateCompletionState({ step1: true });
+
+  assert.deepEqual(state.step1, { completed: true, timestamp: null });
+  assert.equal(getLastActivity(state), null);
+});
+
+test('ancien format : une étape non terminée ne reprend pas l\'horodatage', () => {
+  const state = migrateCompletionState({ step1: false, step1Timestamp: 1730000000000 });
+  assert.deepEqual(state.step1, EMPTY_STEP);
+});
+
+test('valeurs illisibles : état vide', () => {
+  [null, undefined, 'step1', 42, true, []].forEach(stored => {
+    assert.deepEqual(migrateCompletionState(stored), { step1: EMPTY_STEP, step2: EMPTY_STEP }, JSON.stringify(stored));
+  });
+});
+
+test('champs mal formés : ignorés ou ramenés à une valeur sûre', () => {
+  const state = migrateCompletionState({
+    org: 42,
+    step1: 'true',
+    step1Timestamp: 1730000000000,
+    step2: { completed: 'oui', timestamp: 'jamais' },
+  });
+
+  assert.deepEqual(state, {
+    step1: EMPTY_STEP,
+    step2: { completed: true, timestamp: null },
+  });
+});
+
+test('format actuel : conservé tel quel', () => {
+  const stored = {
+    org: 'cas',
+    step1: { completed: true, timestamp: 1730000000000 },
+    step2: { completed: false, timestamp: null },
+  };
+
+  assert.deepEqual(migrateCompletionState(stored), stored);
+  assert.deepEqual(migrateCompletionState(migrateCompletionState(stored)), stored);
+});
+
+test('format mixte : chaque étape est convertie selon son propre format', () => {
+  const state = migrateCompletionState({
+    org: 'cas',
+    step1: { completed: true, timestamp: 1730000000000 },
+    step2: true,
+    step2Timestamp: 1731000000000,
+  });
+
+  assert.deepEqual(state, {
+    org: 'cas',
+    step1: { completed: true, timestamp: 1730000000000 },
+    step2: { completed: true, timestamp: 1731000000000 },
+  });
+  assert.equal(getLastActivity(state), 1731000000000);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests de bout en bout de la génération des liens (npm run links)
+ *
+ * Le générateur est exécuté sur test/fixtures/participants.csv avec une
+ * paire de clés jetable : la clé privée de l'organisation n'est pas dans
+ * le dépôt.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { KEY_ALGORITHM, exportSigningKey, exportVerificationKey, verifySignature } from '../src/signature.js';
+import { loadConfigData } from '../scripts/lib/config.js';
+
+const run = promisify(execFile);
+
+const SCRIPT = fileURLToPath(new URL('../scripts/generate-links.js', import.meta.url));
+const PARTICIPANTS = fileURLToPath(new URL('./fixtures/participants.csv', import.meta.url));
+
+test('chaque lien généré porte une signature valide pour l\'organisation', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'attestation-links-'));
+  try {
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    const verificationKey = await exportVerificationKey(publicKey);
+    const configData = await loadConfigData();
+    const configPath = join(directory, 'config.json');
+    const keyPath = join(directory, 'cas-signature.pem');
+    const outPath = join(directory, 'liens.json');
+    await writeFile(configPath, JSON.stringify({ cas: { ...configData.cas, verificationKey } }));
+    await writeFile(keyPath, await exportSigningKey(privateKey));
+
+    const env = { ...process.env };
+    delete env.ATTESTATION_SIGNING_KEY;
+    delete env.ATTESTATION_SIGNING_KEY_FILE;
+    await run(process.execPath, [
+      SCRIPT, PARTICIPANTS,
+      '--org', 'cas',
+      '--config', configPath,
+      '--key', keyPath,
+      '--base-url', 'https://partage.exemple.org/',
+      '--out', outPath,
+    ], { env });
+
+    const results = JSON.parse(await readFile(outPath, 'utf8'));
+    assert.equal(results.length, 3);
+    for (const { row, url, errors } of results) {
+      assert.deepEqual(errors, [], `ligne ${row}`);
+      const params = Object.fromEntries(new URL(url).searchParams);
+      assert.deepEqual(await verifySignature(params, verificationKey), { valid: true, reason: null }, `ligne ${row}`);
+    }
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,25 @@
+/**
+ * Tests du choix de la langue de l'interface (resolveLanguage)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLanguage } from '../src/i18n.js';
+
+test('le paramètre lang l\'emporte sur toutes les autres sources', () => {
+  assert.equal(resolveLanguage({ param: 'en', navigatorLanguages: ['fr-CA'], orgDefault: 'fr' }), 'en');
+});
+
+test('la langue de l\'organisation l\'emporte sur celle du navigateur', () => {
+  assert.equal(resolveLanguage({ navigatorLanguages: ['en-US'], orgDefault: 'fr' }), 'fr');
+  assert.equal(resolveLanguage({ param: 'de', navigatorLanguages: ['fr-CA'], orgDefault: 'en' }), 'en');
+});
+
+test('sans langue d\'organisation, la première langue prise en charge du navigateur est retenue', () => {
+  assert.equal(resolveLanguage({ navigatorLanguages: ['de-DE', 'en-GB', 'fr'] }), 'en');
+});
+
+test('le français est retenu à défaut', () => {
+  assert.equal(resolveLanguage(), 'fr');
+  assert.equal(resolveLanguage({ param: 'es', navigatorLanguages: ['de'], orgDefault: 'it' }), 'fr');
+});
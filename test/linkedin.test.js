@@ -0,0 +1,52 @@
+/**
+ * Tests du décompte des caractères d'une publication LinkedIn (countLinkedInCharacters)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countLinkedInCharacters, buildLinkedInPostText, LINKEDIN_COUNTING_RULES } from '../src/linkedin.js';
+import { lintMessage, LINKEDIN_MAX_LENGTH } from '../src/messageLint.js';
+
+const { emoji, lineBreak } = LINKEDIN_COUNTING_RULES;
+
+test('texte sans emoji : un caractère par lettre, accents compris', () => {
+  assert.equal(countLinkedInCharacters('Fière de ma réussite'), 20);
+  // "é" décomposé en "e" suivi de l'accent combinant
+  assert.equal(countLinkedInCharacters('e\u0301te\u0301'), 3);
+});
+
+test('emoji : chaque emoji compte selon la règle, séquences composées comprises', () => {
+  assert.equal(countLinkedInCharacters('🎓'), emoji);
+  assert.equal(countLinkedInCharacters('🇨🇦'), emoji);
+  assert.equal(countLinkedInCharacters('👩‍🎓'), emoji);
+  assert.equal(countLinkedInCharacters('👍🏽'), emoji);
+  assert.equal(countLinkedInCharacters('❤️'), emoji);
+  assert.equal(countLinkedInCharacters('1️⃣'), emoji);
+  assert.equal(countLinkedInCharacters('Bravo 🎉🎉'), 6 + 2 * emoji);
+});
+
+test('un symbole affiché comme du texte n\'est pas un emoji', () => {
+  assert.equal(countLinkedInCharacters('© CAS'), 5);
+});
+
+test('sauts de ligne : "\\n", "\\r\\n" et "\\r" comptent selon la règle', () => {
+  assert.equal(countLinkedInCharacters('a\nb'), 2 + lineBreak);
+  assert.equal(countLinkedInCharacters('a\r\nb'), 2 + lineBreak);
+  assert.equal(countLinkedInCharacters('a\rb'), 2 + lineBreak);
+});
+
+test('un lien compte pour sa longueur complète', () => {
+  const linkUrl = 'https://partage.exemple.org/verify/ASC-2024-00123?org=cas';
+  const text = buildLinkedInPostText({ message: 'Message 🎓', linkUrl });
+  assert.equal(countLinkedInCharacters(text), 'Message '.length + emoji + 2 * lineBreak + linkUrl.length);
+  assert.equal(countLinkedInCharacters(`${linkUrl} ${linkUrl}`), 2 * linkUrl.length + 1);
+});
+
+test('la limite est atteinte par le message seul ou par le lien ajouté', () => {
+  const linkUrl = 'https://partage.exemple.org/verify/ASC-2024-00123';
+  const atLimit = 'a'.repeat(LINKEDIN_MAX_LENGTH - emoji + 1) + '🎓';
+
+  assert.ok(lintMessage('🎓'.repeat(LINKEDIN_MAX_LENGTH / emoji)).issues.every(issue => issue.severity !== 'error'));
+  assert.equal(lintMessage(atLimit).issues.find(issue => issue.code === 'tooLong')?.values.excess, 1);
+  assert.equal(lintMessage('a'.repeat(LINKEDIN_MAX_LENGTH - 10), linkUrl).issues[0].code, 'linkOverflow');
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests de l'export Open Badges 3.0 : les documents produits sont validés
+ * contre les contraintes AchievementCredential transcrites dans
+ * test/fixtures/achievement_credential_constraints.schema.json (notre lecture
+ * de la spécification, pas le schéma publié par 1EdTech)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Ajv2019 from 'ajv/dist/2019.js';
+import addFormats from 'ajv-formats';
+import { buildOpenBadgeCredential, buildIssuanceDate } from '../src/openBadge.js';
+
+const schema = JSON.parse(readFileSync(new URL('./fixtures/achievement_credential_constraints.schema.json', import.meta.url), 'utf8'));
+const ajv = new Ajv2019({ allErrors: true, strict: false });
+addFormats(ajv);
+const validate = ajv.compile(schema);
+
+const BASE_URL = 'https://partage.exemple.org/';
+const VERIFICATION_URL = 'https://partage.exemple.org/verify/ASC-2024-00123?org=cas';
+const PARAMS = { org: 'cas', formation: 'Certification en gouvernance', certId: 'ASC-2024-00123', mois: '12', annee: '2025' };
+const CONFIG = {
+  organizationName: 'Collège des administrateurs de sociétés',
+  logo: 'assets/logo_cas.svg',
+  websiteUrl: 'https://www.cas.ulaval.ca/',
+};
+
+/**
+ * Valide un document et retourne les erreurs du schéma (lisibles dans le message d'échec)
+ *
+ * @param {Object} credential - Le document
+ * @returns {string[]} Les erreurs (vide si valide)
+ */
+function schemaErrors(credential) {
+  return validate(credential) ? [] : validate.errors.map(({ instancePath, message }) => `${instancePath} ${message}`);
+}
+
+test('le document complet respecte le schéma', () => {
+  const credential = buildOpenBadgeCredential(PARAMS, CONFIG, VERIFICATION_URL, BASE_URL);
+  assert.deepEqual(schemaErrors(credential), []);
+});
+
+test('le document respecte le schéma sans site web ni date d\'émission', () => {
+  const config = { organizationName: 'Organisation', logo: 'assets/logo.png' };
+  const credential = buildOpenBadgeCredential({ ...PARAMS, mois: null, annee: null }, config, VERIFICATION_URL, BASE_URL);
+  assert.deepEqual(schemaErrors(credential), []);
+  assert.equal(credential.issuer.id, 'https://partage.exemple.org/#cas');
+});
+
+test('les caractères spéciaux de la formation donnent un identifiant valide', () => {
+  const credential = buildOpenBadgeCredential({ ...PARAMS, formation: 'Gouvernance & éthique : niveau 2' }, CONFIG, VERIFICATION_URL, BASE_URL);
+  assert.deepEqual(schemaErrors(credential), []);
+});
+
+test('le schéma refuse un document incomplet', () => {
+  const { issuer, ...credential } = buildOpenBadgeCredential(PARAMS, CONFIG, VERIFICATION_URL, BASE_URL);
+  assert.ok(issuer);
+  assert.notDeepEqual(schemaErrors(credential), []);
+});
+
+test('buildIssuanceDate produit une date ISO 8601 complète', () => {
+  assert.equal(buildIssuanceDate('3', '2025'), '2025-03-01T00:00:00Z');
+  assert.equal(buildIssuanceDate('', '2025'), '2025-01-01T00:00:00Z');
+  assert.equal(buildIssuanceDate('13', '2025'), '2025-12-01T00:00:00Z');
+  assert.match(buildIssuanceDate(null, null), /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests de la conservation des données sur l'appareil (isStorageAllowed)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isStorageAllowed, isPreviewMode } from '../src/privacy.js';
+
+const storage = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+};
+
+/**
+ * Simule l'URL de la page et la décision de consentement
+ *
+ * @param {string} search - La chaîne de requête de la page
+ * @param {boolean|null} granted - La décision du visiteur (null : pas de décision)
+ */
+function visit(search, granted) {
+  globalThis.window = { location: { search } };
+  storage.clear();
+  if (granted !== null) {
+    storage.set('privacy_consent', JSON.stringify({ granted, timestamp: Date.now() }));
+  }
+}
+
+beforeEach(() => visit('', null));
+
+test('rien n\'est conservé sans consentement explicite', () => {
+  assert.equal(isStorageAllowed(), false);
+  visit('?org=cas', false);
+  assert.equal(isStorageAllowed(), false);
+  visit('?org=cas', true);
+  assert.equal(isStorageAllowed(), true);
+});
+
+test('l\'aperçu du générateur ne conserve rien, même avec consentement', () => {
+  visit('?org=cas&preview=1', true);
+  assert.equal(isPreviewMode(), true);
+  assert.equal(isStorageAllowed(), false);
+});
+
+test('seul preview=1 active l\'aperçu', () => {
+  visit('?org=cas&preview=0', true);
+  assert.equal(isPreviewMode(), false);
+  assert.equal(isStorageAllowed(), true);
+});
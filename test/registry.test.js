@@ -0,0 +1,47 @@
+/**
+ * Tests de la recherche dans le registre public (findCertificate)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCertificate, getCertificateStatus } from '../src/registry.js';
+
+const CONFIG_DATA = { cas: { organizationName: 'CAS' } };
+
+const REGISTRY = {
+  certificates: {
+    'ASC-2024-00123': { prenom: 'Alexandre', formation: 'Certification en gouvernance', mois: '12', annee: '2024' },
+  },
+};
+
+const originalFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async url => (String(url) === '/registry/cas.json'
+    ? new Response(JSON.stringify(REGISTRY))
+    : new Response('', { status: 404 }));
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('un certificat inscrit est trouvé et valide', async () => {
+  const found = await findCertificate('ASC-2024-00123', CONFIG_DATA, 'cas');
+  assert.deepEqual(found, { orgId: 'cas', certificate: REGISTRY.certificates['ASC-2024-00123'] });
+  assert.equal(getCertificateStatus(found.certificate, null), 'valid');
+});
+
+test('les clés héritées d\'Object.prototype ne sont pas des certificats', async () => {
+  for (const certId of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.equal(await findCertificate(certId, CONFIG_DATA, 'cas'), null, certId);
+    assert.equal(await findCertificate(certId, CONFIG_DATA), null, certId);
+  }
+});
+
+test('une organisation héritée d\'Object.prototype n\'est pas retenue', async () => {
+  assert.deepEqual(await findCertificate('ASC-2024-00123', CONFIG_DATA, 'constructor'), {
+    orgId: 'cas',
+    certificate: REGISTRY.certificates['ASC-2024-00123'],
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests de la recherche dans la liste de révocation (findRevocation)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRevocation } from '../src/revocations.js';
+
+const REVOCATIONS = {
+  cas: {
+    'ASC-2024-00123': { date: '2025-11-03', reason: 'Émise par erreur' },
+  },
+};
+
+const originalFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async () => new Response(JSON.stringify(REVOCATIONS));
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('un certificat révoqué est trouvé', async () => {
+  assert.deepEqual(await findRevocation('cas', 'ASC-2024-00123'), REVOCATIONS.cas['ASC-2024-00123']);
+  assert.equal(await findRevocation('cas', 'ASC-2024-00124'), null);
+});
+
+test('les clés héritées d\'Object.prototype ne sont pas des révocations', async () => {
+  for (const certId of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.equal(await findRevocation('cas', certId), null, certId);
+  }
+});
+
+test('une organisation héritée d\'Object.prototype n\'a aucune révocation', async () => {
+  assert.equal(await findRevocation('constructor', 'name'), null);
+  assert.equal(await findRevocation('__proto__', 'toString'), null);
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests des liens courts : format des codes, dérivation et chiffrement des entrées
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TOKEN_LENGTH, generateShortCode, parseShortCode, getShortCodeFromPath,
+  getShortLinkEntryId, encryptShortLinkParams, decryptShortLinkEntry,
+} from '../src/shortLinks.js';
+
+const PARAMS = { org: 'cas', pdf: 'https://exemple.org/attestation.pdf', formation: 'Gouvernance', certId: 'ASC-2024-00123' };
+
+test('un code généré a la longueur attendue et se relit', () => {
+  const code = generateShortCode('cas');
+  assert.match(code, new RegExp(`^cas-[0-9A-Z]{${TOKEN_LENGTH}}$`));
+  assert.deepEqual(parseShortCode(code.toLowerCase()), { orgId: 'cas', code });
+});
+
+test('un code de longueur incorrecte est refusé', () => {
+  assert.equal(parseShortCode('cas-7K2M9QXA4B'), null);
+});
+
+test('un chemin mal encodé ne lève pas d\'erreur et ne donne aucun code valide', () => {
+  assert.equal(getShortCodeFromPath('/c/%E0'), '%E0');
+  assert.equal(parseShortCode(getShortCodeFromPath('/c/%E0')), null);
+  assert.equal(getShortCodeFromPath('/verify/abc'), null);
+});
+
+test('une entrée chiffrée se déchiffre avec son code, et seulement avec lui', async () => {
+  const code = generateShortCode('cas');
+  const { id, entry } = await encryptShortLinkParams(code, PARAMS);
+  assert.equal(id, await getShortLinkEntryId(code));
+  assert.match(id, /^[0-9a-f]{32}$/);
+  assert.deepEqual(await decryptShortLinkEntry(code, entry), PARAMS);
+  await assert.rejects(decryptShortLinkEntry(generateShortCode('cas'), entry));
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests de la signature des liens (ECDSA P-256) : paramètres couverts et refus des liens modifiés
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KEY_ALGORITHM, exportVerificationKey, signParams, verifySignature, buildCanonicalString } from '../src/signature.js';
+
+const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+const verificationKey = await exportVerificationKey(publicKey);
+
+const PARAMS = {
+  org: 'cas',
+  pdf: 'https://exemple.org/attestation.pdf',
+  prenom: 'Alexandre',
+  formation: 'Certification en gouvernance',
+  certId: 'ASC-2024-00123',
+  orgId: '1234567',
+};
+
+test('un lien signé est accepté', async () => {
+  const sig = await signParams(PARAMS, privateKey);
+  assert.deepEqual(await verifySignature({ ...PARAMS, sig }, verificationKey), { valid: true, reason: null });
+});
+
+test('orgId est couvert par la signature', async () => {
+  const sig = await signParams(PARAMS, privateKey);
+  assert.match(buildCanonicalString(PARAMS), /&orgId=1234567&/);
+  assert.equal((await verifySignature({ ...PARAMS, orgId: '7654321', sig }, verificationKey)).reason, 'invalid');
+  assert.equal((await verifySignature({ ...PARAMS, orgId: undefined, sig }, verificationKey)).reason, 'invalid');
+});
+
+test('un lien signé sans orgId reste valide', async () => {
+  const { orgId, ...params } = PARAMS;
+  const sig = await signParams(params, privateKey);
+  assert.equal((await verifySignature({ ...params, sig }, verificationKey)).valid, true);
+  assert.equal((await verifySignature({ ...params, orgId, sig }, verificationKey)).reason, 'invalid');
+});
+
+test('signature absente, mal encodée ou expirée', async () => {
+  const exp = '1700000000';
+  const sig = await signParams({ ...PARAMS, exp }, privateKey);
+  assert.equal((await verifySignature(PARAMS, verificationKey)).reason, 'missing');
+  assert.equal((await verifySignature({ ...PARAMS, sig: '%%%' }, verificationKey)).reason, 'invalid');
+  assert.equal((await verifySignature({ ...PARAMS, exp, sig }, verificationKey, 1800000000000)).reason, 'expired');
+});
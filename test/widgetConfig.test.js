@@ -0,0 +1,52 @@
+/**
+ * Tests de la configuration publique du composant intégrable (/widget/config.json)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWidgetConfigData, validateWidgetConfig } from '../src/widgetConfig.js';
+
+const VERIFICATION_KEY = `MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE${'A'.repeat(86)}==`;
+
+const CONFIG_DATA = {
+  cas: {
+    organizationName: 'Collège des administrateurs de sociétés',
+    logo: 'assets/logo_cas.svg',
+    websiteUrl: 'https://www.cas.ulaval.ca/',
+    verificationKey: VERIFICATION_KEY,
+    defaultLanguage: 'fr',
+    hashtags: ['gouvernance'],
+    linkedinOrganizationId: '1234567',
+    contact: { email: 'info@exemple.org' },
+    analytics: { transport: 'beacon', endpoint: 'https://collecte.exemple.org/' },
+    pdfProxy: { allowedHosts: ['stockage.exemple.org'] },
+    theme: { primaryColor: '#005a9c', bannerImage: 'assets/banniere.png', footerText: 'Pied de page' },
+  },
+};
+
+test('seuls les champs utiles au composant sont repris', () => {
+  assert.deepEqual(buildWidgetConfigData(CONFIG_DATA), {
+    cas: {
+      organizationName: 'Collège des administrateurs de sociétés',
+      verificationKey: VERIFICATION_KEY,
+      defaultLanguage: 'fr',
+      hashtags: ['gouvernance'],
+      linkedinOrganizationId: '1234567',
+      theme: { primaryColor: '#005a9c' },
+    },
+  });
+});
+
+test('l\'extrait produit est valide pour le composant', () => {
+  const { cas } = buildWidgetConfigData(CONFIG_DATA);
+  assert.deepEqual(validateWidgetConfig(cas, 'cas'), []);
+});
+
+test('un champ hors de l\'extrait est refusé', () => {
+  const errors = validateWidgetConfig({ organizationName: 'CAS', verificationKey: VERIFICATION_KEY, pdfProxy: { allowedHosts: [] } }, 'cas');
+  assert.deepEqual(errors, ['cas.pdfProxy n\'est pas un champ reconnu']);
+});
+
+test('une organisation sans clé de vérification est refusée', () => {
+  assert.deepEqual(validateWidgetConfig({ organizationName: 'CAS' }, 'cas'), ['cas.verificationKey est obligatoire']);
+});
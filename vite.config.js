@@ -1,9 +1,144 @@
 import { defineConfig } from 'vite';
+import { resolve } from 'node:path';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { PDF_PROXY_PATH, handlePdfProxyRequest } from './src/pdfProxy.js';
+
+/**
+ * Réécritures des routes de l'application en développement
+ * (équivalent des réécritures déclarées dans vercel.json)
+ */
+const ROUTE_REWRITES = [
+  { pattern: /^\/verify\/[^/?]+\/?(\?.*)?$/, destination: '/verify.html' },
+  { pattern: /^\/c\/[^/?]+\/?(\?.*)?$/, destination: '/index.html' },
+  { pattern: /^\/builder\/?(\?.*)?$/, destination: '/builder.html' },
+];
+
+/**
+ * Sert verify.html pour /verify/<certId>, index.html pour les liens courts /c/<code>
+ * et builder.html pour le générateur de liens /builder (développement seulement :
+ * le générateur ne fait pas partie du build)
+ */
+function routeRewritesPlugin() {
+  return {
+    name: 'route-rewrites',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const rewrite = req.url && ROUTE_REWRITES.find(({ pattern }) => pattern.test(req.url));
+        if (rewrite) {
+          req.url = `${rewrite.destination}${req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : ''}`;
+        }
+        next();
+      });
+    },
+  };
+}
+
+/**
+ * Collecteur local des événements de mesure (transport "beacon" avec
+ * l'endpoint http://localhost:5173/__analytics) : journalise chaque
+ * événement reçu dans le terminal du serveur de développement
+ */
+function analyticsCollectorPlugin() {
+  return {
+    name: 'analytics-collector',
+    configureServer(server) {
+      server.middlewares.use('/__analytics', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405;
+          res.end();
+          return;
+        }
+        let body = '';
+        req.on('data', chunk => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          try {
+            const { event, ...properties } = JSON.parse(body);
+            console.log(`[analytics] ${event}`, properties);
+          } catch (error) {
+            console.warn('[analytics] événement illisible:', body);
+          }
+          res.statusCode = 204;
+          res.end();
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Proxy des PDF servis sans en-têtes CORS (équivalent de api/pdf-proxy.js),
+ * en développement et avec `npm run preview`. config.json est relu à
+ * chaque requête pour prendre en compte les modifications des hôtes autorisés.
+ */
+function pdfProxyPlugin() {
+  const middleware = (req, res) => {
+    let configData;
+    try {
+      configData = JSON.parse(readFileSync(resolve(__dirname, 'public/config.json'), 'utf8'));
+    } catch (error) {
+      res.statusCode = 500;
+      res.end(`config.json illisible: ${error.message}`);
+      return;
+    }
+    handlePdfProxyRequest(req, res, configData);
+  };
+
+  return {
+    name: 'pdf-proxy',
+    configureServer(server) {
+      server.middlewares.use(PDF_PROXY_PATH, middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(PDF_PROXY_PATH, middleware);
+    },
+  };
+}
+
+/**
+ * Émet le service worker (/sw.js) à partir de src/serviceWorker.js, avec
+ * la liste des fichiers du build et des images de public/assets à mettre
+ * en cache à l'installation
+ */
+function serviceWorkerPlugin() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const template = readFileSync(resolve(__dirname, 'src/serviceWorker.js'), 'utf8');
+      const urls = [...new Set([
+        '/index.html',
+        '/verify.html',
+        '/config.json',
+        '/manifest.webmanifest',
+        ...Object.keys(bundle).map(fileName => `/${fileName}`),
+        ...readdirSync(resolve(__dirname, 'public/assets')).map(fileName => `/assets/${fileName}`),
+      ])];
+      const version = createHash('sha256').update(template).update(urls.join('\n')).digest('hex').slice(0, 12);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template
+          .replace('const PRECACHE_URLS = __PRECACHE_URLS__;', `const PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};`)
+          .replace('${__CACHE_VERSION__}', version),
+      });
+    },
+  };
+}
 
 export default defineConfig({
+  plugins: [routeRewritesPlugin(), analyticsCollectorPlugin(), pdfProxyPlugin(), serviceWorkerPlugin()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
+    rollupOptions: {
+      input: {
+        main: resolve(__dirname, 'index.html'),
+        verify: resolve(__dirname, 'verify.html'),
+      },
+    },
   },
 });
-
@@ -0,0 +1,95 @@
+import { defineConfig } from 'vite';
+import { resolve } from 'node:path';
+import { readFileSync } from 'node:fs';
+import { buildWidgetConfigData } from './src/widgetConfig.js';
+
+/**
+ * Nom du worker PDF.js émis à côté du composant (dist/widget)
+ */
+const PDF_WORKER_FILE_NAME = 'pdf.worker.min.js';
+
+const PDF_WORKER_URL_ID = 'pdfjs-dist/build/pdf.worker.min.js?url';
+const PDF_WORKER_FALLBACK_ID = 'pdfjs-dist/build/pdf.worker.js';
+
+/**
+ * Émet /widget/config.json : l'extrait public de public/config.json lu
+ * par le composant (voir src/widgetConfig.js)
+ */
+function widgetConfigPlugin() {
+  return {
+    name: 'widget-config',
+    apply: 'build',
+    generateBundle() {
+      const configData = JSON.parse(readFileSync(resolve(__dirname, 'public/config.json'), 'utf8'));
+      this.emitFile({
+        type: 'asset',
+        fileName: 'config.json',
+        source: `${JSON.stringify(buildWidgetConfigData(configData), null, 2)}\n`,
+      });
+    },
+  };
+}
+
+/**
+ * Build du composant intégrable <attestation-share> (src/widget.js)
+ *
+ * Bibliothèque ES émise dans dist/widget, à côté de l'application : les
+ * organisations chargent /widget/attestation-share.js depuis leur site.
+ * Lancé après le build de l'application par `npm run build`.
+ */
+/**
+ * Sert le worker PDF.js depuis l'application plutôt que de l'intégrer au script
+ *
+ * En mode bibliothèque, Vite intègre toujours les imports `?url` en data
+ * URL, quel que soit build.assetsInlineLimit : le worker est donc émis
+ * tel quel sous /widget/pdf.worker.min.js et son URL est résolue à partir
+ * de celle du script (origine de l'application). Le rendu dans le thread
+ * principal n'est pas proposé : sans worker, l'aperçu est simplement omis.
+ */
+function widgetPdfWorkerPlugin() {
+  return {
+    name: 'widget-pdf-worker',
+    apply: 'build',
+    enforce: 'pre',
+    resolveId(id) {
+      if (id === PDF_WORKER_URL_ID || id === PDF_WORKER_FALLBACK_ID) {
+        return `\0${id}`;
+      }
+      return null;
+    },
+    load(id) {
+      if (id === `\0${PDF_WORKER_URL_ID}`) {
+        // Nom passé par une constante : Vite ne doit pas réécrire cette URL
+        return [
+          `const fileName = ${JSON.stringify(PDF_WORKER_FILE_NAME)};`,
+          'export default new URL(fileName, import.meta.url).href;',
+        ].join('\n');
+      }
+      if (id === `\0${PDF_WORKER_FALLBACK_ID}`) {
+        return 'throw new Error(\'Rendu PDF dans le thread principal indisponible dans le composant\');';
+      }
+      return null;
+    },
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: PDF_WORKER_FILE_NAME,
+        source: readFileSync(resolve(__dirname, 'node_modules/pdfjs-dist/build/pdf.worker.min.js')),
+      });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [widgetConfigPlugin(), widgetPdfWorkerPlugin()],
+  publicDir: false,
+  build: {
+    outDir: 'dist/widget',
+    emptyOutDir: false,
+    lib: {
+      entry: resolve(__dirname, 'src/widget.js'),
+      formats: ['es'],
+      fileName: 'attestation-share',
+    },
+  },
+});